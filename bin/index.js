@@ -3,9 +3,13 @@
 import { Command } from "commander";
 import chalk from "chalk";
 import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
 import inquirer from "inquirer";
 import { sendEmail } from "../lib/sendEmail.js";
 import { loadConfig } from "../lib/config.js";
+import { OAUTH2_PROVIDERS, resolveOAuth2Provider, authorizeWithLoopback } from "../lib/oauth2.js";
+import { parseAddressList, toAddressList, flattenAddresses } from "../lib/address.js";
 import {
     listProviders,
     getProviderConfig,
@@ -14,6 +18,118 @@ import {
     suggestSMTPSettings
 } from "../index.js";
 
+/**
+ * `senderwolf auth <provider>`: run the OAuth2 authorization code flow and save the refresh token
+ */
+async function runAuthCommand(providerName, options) {
+    const provider = resolveOAuth2Provider(providerName);
+    if (!provider) {
+        console.log(chalk.red(`❌ Unknown OAuth2 provider: ${providerName}`));
+        console.log(chalk.yellow("💡 Supported providers: gmail (google), outlook (microsoft)"));
+        process.exit(1);
+    }
+
+    const config = await loadConfig();
+    const saved = config.oauth2 || {};
+
+    let answers = {};
+    try {
+        answers = await inquirer.prompt([
+            { name: "user", message: "Your email address:", when: !(program.opts().user || config.user) },
+            { name: "clientId", message: "OAuth2 client ID:", when: !(options.clientId || saved.clientId) },
+            {
+                type: "password",
+                name: "clientSecret",
+                message: "OAuth2 client secret (leave empty for public clients):",
+                mask: "*",
+                when: !(options.clientSecret || saved.clientSecret),
+            },
+        ]);
+    } catch (err) {
+        console.log(chalk.yellow("\n❌ Prompt cancelled. Exiting..."));
+        process.exit(0);
+    }
+
+    const auth = {
+        provider,
+        tenant: options.tenant || saved.tenant,
+        user: program.opts().user || config.user || answers.user,
+        clientId: options.clientId || saved.clientId || answers.clientId,
+        clientSecret: options.clientSecret || saved.clientSecret || answers.clientSecret || undefined,
+    };
+
+    console.log(chalk.cyan(`🔐 Authorizing senderwolf with ${OAUTH2_PROVIDERS[provider].name}...\n`));
+
+    let tokens;
+    try {
+        tokens = await authorizeWithLoopback(auth, {
+            port: options.redirectPort,
+            onAuthorizeUrl: (url) => {
+                console.log(chalk.white("Open this URL in your browser to continue:\n"));
+                console.log(chalk.underline(url));
+                console.log(chalk.gray("\nWaiting for authorization..."));
+                openBrowser(url);
+            },
+        });
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+    }
+
+    const homeDir = process.env.HOME || process.env.USERPROFILE;
+    const configPath = path.join(options.global ? homeDir : process.cwd(), ".senderwolfrc.json");
+    const existing = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, "utf-8")) : {};
+
+    const updated = {
+        ...existing,
+        user: auth.user,
+        authType: "oauth2",
+        oauth2: {
+            provider,
+            ...(auth.tenant ? { tenant: auth.tenant } : {}),
+            clientId: auth.clientId,
+            ...(auth.clientSecret ? { clientSecret: auth.clientSecret } : {}),
+            refreshToken: tokens.refreshToken,
+        },
+    };
+
+    // Readable by the owner only, it holds a long-lived credential. `mode` only applies to new
+    // files, so an existing config is tightened explicitly.
+    fs.writeFileSync(configPath, JSON.stringify(updated, null, 2) + "\n", { mode: 0o600 });
+    fs.chmodSync(configPath, 0o600);
+
+    console.log(chalk.green(`\n✅ Authorized ${auth.user}`));
+    console.log(chalk.gray(`   Refresh token saved to ${configPath}`));
+    console.log(chalk.yellow("💡 Keep this file out of version control"));
+    process.exit(0);
+}
+
+/**
+ * Best-effort attempt to open a URL in the default browser
+ */
+function openBrowser(url) {
+    const [command, args] = process.platform === "darwin"
+        ? ["open", [url]]
+        : process.platform === "win32"
+            ? ["cmd", ["/c", "start", "", url]]
+            : ["xdg-open", [url]];
+
+    try {
+        spawn(command, args, { stdio: "ignore", detached: true }).on("error", () => {}).unref();
+    } catch {
+        // The URL has been printed, the user can open it manually
+    }
+}
+
+/**
+ * Readable `"Name" <address>` list of recipients given as address-list strings or { name, address } objects
+ */
+function formatRecipients(recipients) {
+    return flattenAddresses(toAddressList(recipients)).map((recipient) => (
+        recipient.name ? `"${recipient.name}" <${recipient.address}>` : recipient.address
+    )).join(", ");
+}
+
 const program = new Command();
 
 program
@@ -48,13 +164,16 @@ Examples:
 
   # List available providers
   $ senderwolf --list-providers
+
+  # Authorize with Gmail via OAuth2 and save the refresh token
+  $ senderwolf auth gmail --user your@gmail.com --client-id <id> --client-secret <secret>
 `
     )
     // Authentication & Provider Options
     .option("-u, --user <email>", "SMTP username/email")
     .option("-p, --pass <password>", "SMTP password or app password")
     .option("--provider <name>", "Email provider (gmail, outlook, sendgrid, etc.)")
-    .option("--auth-type <type>", "Authentication type (login, plain, oauth2, xoauth2)")
+    .option("--auth-type <type>", "Authentication type (login, plain, cram-md5, ntlm, oauth2, xoauth2, external) - negotiated with the server when omitted")
 
     // Email Content Options
     .option("-t, --to <emails>", "Recipient email(s) - comma-separated for multiple")
@@ -72,6 +191,7 @@ Examples:
     .option("-S, --secure <bool>", "Use SSL/TLS (auto-detected if provider specified)", (value) => value === "true")
     .option("--require-tls", "Require STARTTLS")
     .option("--ignore-tls", "Ignore TLS certificate errors")
+    .option("--tls <policy>", "STARTTLS policy (opportunistic, required, none)")
 
     // Sender Options
     .option("-n, --from-name <name>", "Sender name")
@@ -81,6 +201,7 @@ Examples:
     .option("-a, --attachments <paths>", "Comma-separated file paths")
     .option("--headers <json>", "Custom headers as JSON string")
     .option("--message-id <id>", "Custom message ID")
+    .option("--allow-partial", "Send to the accepted recipients when some are rejected")
 
     // Mode Options
     .option("-i, --interactive", "Launch interactive mode")
@@ -94,7 +215,20 @@ Examples:
     .option("--config-example", "Show configuration file example")
     .showHelpAfterError()
     .showSuggestionAfterError()
-    .parse();
+    // Sending is handled below once the options are parsed
+    .action(() => {});
+
+program
+    .command("auth <provider>")
+    .description("Authorize senderwolf with OAuth2 (gmail, outlook) and save the refresh token")
+    .option("--client-id <id>", "OAuth2 client ID")
+    .option("--client-secret <secret>", "OAuth2 client secret (optional for public clients)")
+    .option("--tenant <tenant>", "Microsoft tenant (default: common)")
+    .option("--redirect-port <port>", "Port for the loopback redirect listener (default: random)", parseInt)
+    .option("--global", "Save to ~/.senderwolfrc.json instead of the current directory")
+    .action(runAuthCommand);
+
+await program.parseAsync();
 
 const opts = program.opts();
 
@@ -180,7 +314,7 @@ const merged = {
     user: opts.user || config.user,
     pass: opts.pass || config.pass,
     provider: opts.provider || config.provider,
-    authType: opts.authType || config.authType || "login",
+    authType: opts.authType || config.authType,
 
     // Recipients
     to: opts.to,
@@ -202,6 +336,7 @@ const merged = {
         : (config.secure ?? providerConfig.secure ?? true),
     requireTLS: opts.requireTls || config.requireTLS || providerConfig.requireTLS || false,
     ignoreTLS: opts.ignoreTls || config.ignoreTLS || false,
+    tls: opts.tls || config.tls,
 
     // Sender
     fromName: opts.fromName || config.fromName || "Senderwolf",
@@ -211,6 +346,7 @@ const merged = {
     attachments: opts.attachments,
     headers: opts.headers ? JSON.parse(opts.headers) : {},
     messageId: opts.messageId,
+    allowPartialDelivery: opts.allowPartial || false,
     debug: opts.debug || config.debug || false,
 
     // Modes
@@ -220,7 +356,7 @@ const merged = {
 };
 // Handle test connection
 if (merged.test) {
-    if (!merged.user || !merged.pass) {
+    if (!merged.user || (!merged.pass && !["oauth2", "external"].includes(merged.authType))) {
         console.log(chalk.red("❌ Username and password required for connection test"));
         process.exit(1);
     }
@@ -234,6 +370,7 @@ if (merged.test) {
             secure: merged.secure,
             requireTLS: merged.requireTLS,
             ignoreTLS: merged.ignoreTLS,
+            tls: merged.tls,
             debug: merged.debug,
             auth: {
                 user: merged.user,
@@ -249,7 +386,7 @@ if (merged.test) {
             console.log(chalk.green(`✅ Connection successful!`));
             console.log(chalk.gray(`   Host: ${merged.host}:${merged.port}`));
             console.log(chalk.gray(`   Secure: ${merged.secure}`));
-            console.log(chalk.gray(`   Auth: ${merged.authType}`));
+            console.log(chalk.gray(`   Auth: ${merged.authType || "auto"}`));
         } else {
             console.log(chalk.red(`❌ Connection failed: ${result.message}`));
         }
@@ -456,7 +593,7 @@ if (useInteractive) {
         fromEmail: answers.user,
     };
 } else {
-    if (!merged.user || !merged.pass || !merged.to || !merged.subject || (!merged.html && !merged.text)) {
+    if (!merged.user || (!merged.pass && !["oauth2", "external"].includes(merged.authType)) || !merged.to || !merged.subject || (!merged.html && !merged.text)) {
         console.log(chalk.red("❌ Missing required options.\n"));
         program.outputHelp();
         process.exit(1);
@@ -482,9 +619,9 @@ if (useInteractive) {
         }))
         : [];
 
-    // Parse multiple recipients
+    // Parse multiple recipients, keeping quoted display names such as "Doe, John" <john@example.com> intact
     const parseEmails = (emailString) => {
-        return emailString ? emailString.split(",").map(email => email.trim()) : undefined;
+        return emailString ? flattenAddresses(parseAddressList(emailString)) : undefined;
     };
 
     smtp = {
@@ -493,6 +630,7 @@ if (useInteractive) {
         secure: merged.secure,
         requireTLS: merged.requireTLS,
         ignoreTLS: merged.ignoreTLS,
+        tls: merged.tls,
         debug: merged.debug,
         auth: {
             user: merged.user,
@@ -512,6 +650,7 @@ if (useInteractive) {
         priority: merged.priority,
         headers: merged.headers,
         messageId: merged.messageId,
+        allowPartialDelivery: merged.allowPartialDelivery,
         attachments,
         fromName: merged.fromName,
         fromEmail: merged.fromEmail,
@@ -525,14 +664,14 @@ if (merged.dryRun) {
     console.log(chalk.cyan("📬 SMTP Configuration:"));
     console.log(chalk.white(`  Host: ${smtp.host}:${smtp.port}`));
     console.log(chalk.white(`  Secure: ${smtp.secure}`));
-    console.log(chalk.white(`  Auth Type: ${smtp.auth.type}`));
+    console.log(chalk.white(`  Auth Type: ${smtp.auth.type || "auto"}`));
     console.log(chalk.white(`  User: ${smtp.auth.user}`));
 
     console.log(chalk.cyan("\n📧 Email Preview:"));
     console.log(chalk.white(`  From: ${mail.fromName ? `"${mail.fromName}" <${mail.fromEmail}>` : mail.fromEmail}`));
-    console.log(chalk.white(`  To: ${Array.isArray(mail.to) ? mail.to.join(", ") : mail.to}`));
-    if (mail.cc) console.log(chalk.white(`  CC: ${Array.isArray(mail.cc) ? mail.cc.join(", ") : mail.cc}`));
-    if (mail.bcc) console.log(chalk.white(`  BCC: ${Array.isArray(mail.bcc) ? mail.bcc.join(", ") : mail.bcc}`));
+    console.log(chalk.white(`  To: ${formatRecipients(mail.to)}`));
+    if (mail.cc) console.log(chalk.white(`  CC: ${formatRecipients(mail.cc)}`));
+    if (mail.bcc) console.log(chalk.white(`  BCC: ${formatRecipients(mail.bcc)}`));
     if (mail.replyTo) console.log(chalk.white(`  Reply-To: ${mail.replyTo}`));
     console.log(chalk.white(`  Subject: ${mail.subject}`));
     if (mail.priority !== "normal") console.log(chalk.white(`  Priority: ${mail.priority}`));
@@ -561,16 +700,19 @@ try {
     if (result.success) {
         console.log(chalk.green(`✅ Email sent successfully!`));
         console.log(chalk.gray(`   Message ID: ${result.messageId}`));
-        console.log(chalk.gray(`   To: ${Array.isArray(mail.to) ? mail.to.join(", ") : mail.to}`));
-        if (mail.cc) console.log(chalk.gray(`   CC: ${Array.isArray(mail.cc) ? mail.cc.join(", ") : mail.cc}`));
+        console.log(chalk.gray(`   To: ${formatRecipients(mail.to)}`));
+        if (mail.cc) console.log(chalk.gray(`   CC: ${formatRecipients(mail.cc)}`));
         if (attachments.length > 0) {
             console.log(chalk.gray(`   Attachments: ${attachments.length} file(s)`));
         }
+        [...result.rejected, ...result.pending].forEach(({ address, response }) => {
+            console.log(chalk.yellow(`⚠️  Not delivered to ${address}: ${response}`));
+        });
     } else {
         console.log(chalk.red(`❌ Failed to send email: ${result.error}`));
 
         // Provide helpful suggestions based on error
-        if (result.error.includes('authentication') || result.error.includes('535')) {
+        if (result.smtpError?.responseCode === 535 || result.error.includes('authentication')) {
             console.log(chalk.yellow("💡 Check your username and password"));
             console.log(chalk.yellow("   For Gmail, use an App Password instead of your regular password"));
         } else if (result.error.includes('connection') || result.error.includes('ECONNREFUSED')) {
@@ -32,6 +32,13 @@ export {
     SMTP_PROVIDERS
 } from './lib/providers.js';
 
+// Errors
+export { SMTPError } from './lib/errors.js';
+
+// Address utilities
+export { parseAddressList, parseAddress } from './lib/address.js';
+export { encodeAddressList } from './lib/mimeEncoding.js';
+
 // Configuration utilities
 export { loadConfig } from './lib/config.js';
 
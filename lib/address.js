@@ -0,0 +1,255 @@
+/**
+ * Email address helpers
+ * RFC 5322 address-list parsing, validation of internationalized addresses (RFC 6531)
+ * and IDNA conversion of their domains
+ */
+
+import { domainToASCII } from "url";
+import { isIPv4, isIPv6 } from "net";
+
+const ASCII = /^[\x00-\x7f]*$/;
+
+/**
+ * Split an address into its local part and domain at the last "@"
+ */
+export function splitAddress(address) {
+    const at = address.lastIndexOf("@");
+    if (at === -1) {
+        return { local: address, domain: "" };
+    }
+    return { local: address.substring(0, at), domain: address.substring(at + 1) };
+}
+
+/**
+ * Convert an internationalized domain to its ASCII (punycode) form, e.g. 例子.广告 -> xn--fsqu00a.xn--tiq49xqyj
+ */
+export function toASCIIAddress(address) {
+    const { local, domain } = splitAddress(address);
+    if (!domain || ASCII.test(domain)) {
+        return address;
+    }
+    return `${local}@${domainToASCII(domain) || domain}`;
+}
+
+/**
+ * Canonical envelope form of an address: trimmed, with a punycode, lower-case domain.
+ * The local part keeps its case, it is case-sensitive in principle (RFC 5321 2.4).
+ */
+export function normalizeAddress(address) {
+    const { local, domain } = splitAddress(toASCIIAddress(String(address).trim()));
+    if (!domain) return local;
+    // Address literals are left as written ("[IPv6:...]")
+    return `${local}@${domain.startsWith("[") ? domain : domain.toLowerCase()}`;
+}
+
+/**
+ * Whether an address has a UTF-8 local part, which can only be transmitted with SMTPUTF8
+ */
+export function requiresSMTPUTF8(address) {
+    return !ASCII.test(splitAddress(address).local);
+}
+
+/**
+ * Validate an email address, allowing UTF-8 local parts and internationalized domains
+ */
+export function isValidAddress(address) {
+    const { local, domain } = splitAddress(String(address));
+    if (!local || !domain || local.length > 64) {
+        return false;
+    }
+
+    // Dot-atom local part (RFC 5322), extended to UTF-8 by RFC 6531
+    if (!/^[^\x00-\x20\x7f"(),:;<>@[\\\]]+$/.test(local) || /^\.|\.\.|\.$/.test(local)) {
+        return false;
+    }
+
+    // Address literals (RFC 5321 4.1.3), e.g. ops@[10.0.0.5] or ops@[IPv6:::1]
+    const literal = domain.match(/^\[(?:IPv6:(.+)|(.+))\]$/i);
+    if (literal) {
+        return literal[1] ? isIPv6(literal[1]) : isIPv4(literal[2]);
+    }
+
+    // Single-label domains such as "localhost" are common with local relays; a dotted domain
+    // needs a letter in its last label so bare IP addresses are not mistaken for host names
+    const asciiDomain = domainToASCII(domain);
+    return asciiDomain.length <= 253
+        && /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i.test(asciiDomain)
+        && (!asciiDomain.includes(".") || /[a-z]/i.test(asciiDomain.split(".").pop()));
+}
+
+/**
+ * Split an address-list header value into tokens: quoted strings, comments, angle-addrs,
+ * the specials , : ; and runs of everything else (including [domain literals])
+ */
+function tokenize(input) {
+    const tokens = [];
+    let text = "";
+
+    const flushText = () => {
+        if (text) tokens.push({ type: "text", value: text });
+        text = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (char === '"') {
+            flushText();
+            let value = "";
+            for (i++; i < input.length && input[i] !== '"'; i++) {
+                value += input[i] === "\\" ? input[++i] ?? "" : input[i];
+            }
+            tokens.push({ type: "quoted", value });
+        } else if (char === "(") {
+            flushText();
+            let value = "";
+            let depth = 1;
+            for (i++; i < input.length; i++) {
+                if (input[i] === "\\") {
+                    value += input[++i] ?? "";
+                    continue;
+                }
+                if (input[i] === "(") depth++;
+                if (input[i] === ")" && --depth === 0) break;
+                value += input[i];
+            }
+            tokens.push({ type: "comment", value });
+        } else if (char === "<") {
+            flushText();
+            const end = input.indexOf(">", i);
+            const value = input.substring(i + 1, end === -1 ? input.length : end);
+            tokens.push({ type: "angle", value });
+            i = end === -1 ? input.length : end;
+        } else if (char === "[") {
+            // Domain literal, which may itself contain ":" (IPv6)
+            const end = input.indexOf("]", i);
+            text += input.substring(i, end === -1 ? input.length : end + 1);
+            i = end === -1 ? input.length : end;
+        } else if (char === "," || char === ":" || char === ";") {
+            flushText();
+            tokens.push({ type: "special", value: char });
+        } else {
+            text += char;
+        }
+    }
+    flushText();
+
+    return tokens;
+}
+
+function collapse(value) {
+    return value.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Turn the tokens of one list entry into { name, address }
+ */
+function toMailbox(tokens) {
+    const angle = tokens.find((token) => token.type === "angle");
+    const comments = tokens.filter((token) => token.type === "comment").map((token) => collapse(token.value));
+    const words = tokens.filter((token) => token.type === "text" || token.type === "quoted");
+
+    if (angle) {
+        const before = tokens.slice(0, tokens.indexOf(angle)).filter((token) => token.type !== "comment");
+        return {
+            name: collapse(before.map((token) => token.value).join(" ")) || comments.join(" "),
+            // Obsolete source routes ("<@relay:user@host>") are dropped
+            address: angle.value.replace(/^(@[^:]*:)/, "").trim(),
+        };
+    }
+
+    // A bare address, optionally with its name in a trailing comment ("user@host (Name)").
+    // Quotes and inner whitespace are kept so a malformed address fails validation instead of
+    // silently becoming another mailbox ('"john doe"@host' is not johndoe@host).
+    const requote = (value) => `"${value.replace(/(["\\])/g, "\\$1")}"`;
+    return {
+        name: comments.join(" "),
+        address: words.map((token) => (token.type === "quoted" ? requote(token.value) : token.value)).join("").trim(),
+    };
+}
+
+/**
+ * Parse an RFC 5322 address list such as
+ * `a@example.com, "Doe, Jane" <jane@example.com>, Team: b@example.com, c@example.com;`
+ * into `{ name, address }` entries. Groups become `{ name, group: [...] }`.
+ */
+export function parseAddressList(input) {
+    const result = [];
+    let group = null;
+    let entry = [];
+
+    const finishEntry = () => {
+        const mailbox = toMailbox(entry);
+        if (mailbox.address) {
+            (group ? group.group : result).push(mailbox);
+        }
+        entry = [];
+    };
+
+    for (const token of tokenize(String(input))) {
+        if (token.type !== "special") {
+            entry.push(token);
+        } else if (token.value === ":" && !group && !entry.some((item) => item.type === "angle")) {
+            group = { name: collapse(entry.filter((item) => item.type !== "comment").map((item) => item.value).join(" ")), group: [] };
+            entry = [];
+        } else if (token.value === ";" && group) {
+            finishEntry();
+            result.push(group);
+            group = null;
+        } else if (token.value === ",") {
+            finishEntry();
+        } else {
+            // Stray ":" or ";" outside of a group is part of the text
+            entry.push({ type: "text", value: token.value });
+        }
+    }
+
+    finishEntry();
+    if (group) result.push(group);
+
+    return result;
+}
+
+/**
+ * Normalize recipients given as address-list strings, `{ name, address }` objects or arrays of
+ * either into a list of `{ name, address }` entries and groups
+ */
+export function toAddressList(value) {
+    return [value]
+        .flat(Infinity)
+        .filter(Boolean)
+        .flatMap((entry) =>
+            typeof entry === "string" ? parseAddressList(entry) : [{ name: entry.name || "", address: entry.address }]
+        );
+}
+
+/**
+ * Expand groups into their members
+ */
+export function flattenAddresses(list) {
+    return list.flatMap((entry) => (entry.group ? entry.group : [entry]));
+}
+
+/**
+ * The single mailbox in a string or `{ name, address }` value, or null
+ */
+export function parseAddress(value) {
+    return flattenAddresses(toAddressList(value))[0] || null;
+}
+
+/**
+ * Build a VERP return-path for a recipient so bounces identify who they were for.
+ * `pattern` uses {local}, {domain} and {address} placeholders, e.g.
+ * "bounces+{local}={domain}@example.com" -> bounces+alice=example.org@example.com,
+ * or is a function that receives the recipient address and returns the return-path.
+ */
+export function formatVerpAddress(pattern, address) {
+    if (typeof pattern === "function") {
+        return pattern(address);
+    }
+
+    const { local, domain } = splitAddress(toASCIIAddress(address));
+    return pattern.replace(/\{(local|domain|address)\}/g, (_, key) =>
+        key === "local" ? local : key === "domain" ? domain : `${local}=${domain}`
+    );
+}
@@ -4,6 +4,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { canRefreshAccessToken, invalidateAccessToken } from './oauth2.js';
 
 export class SMTPConnectionPool extends EventEmitter {
     constructor(options = {}) {
@@ -18,6 +19,7 @@ export class SMTPConnectionPool extends EventEmitter {
             ...options
         };
 
+        // Connection key -> Set of open connections for that server and user
         this.connections = new Map();
         this.queue = [];
         this.activeConnections = 0;
@@ -48,8 +50,8 @@ export class SMTPConnectionPool extends EventEmitter {
         await this.checkRateLimit();
 
         // Try to get existing idle connection
-        const existingConnection = this.connections.get(key);
-        if (existingConnection && existingConnection.isIdle() && !existingConnection.isExpired()) {
+        const existingConnection = this.findIdleConnection(key);
+        if (existingConnection) {
             existingConnection.markBusy();
             return existingConnection;
         }
@@ -65,46 +67,83 @@ export class SMTPConnectionPool extends EventEmitter {
         return this.createConnection(config, key);
     }
 
+    /**
+     * An idle, still usable connection for the key. Expired ones found on the way are closed.
+     */
+    findIdleConnection(key) {
+        for (const connection of this.connections.get(key) || []) {
+            if (!connection.isIdle()) continue;
+            if (connection.isExpired()) {
+                connection.close();
+                continue;
+            }
+            return connection;
+        }
+        return null;
+    }
+
     /**
      * Create a new pooled connection
      */
     async createConnection(config, key) {
         const connection = new PooledSMTPConnection(config, this.options);
 
+        // Reserve the slot up front so concurrent callers can't exceed maxConnections while connecting
+        this.activeConnections++;
+
+        try {
+            await connection.connect();
+        } catch (error) {
+            // A session that connected but failed to authenticate would otherwise stay open
+            connection.client?.destroy();
+            this.activeConnections--;
+            this.processQueue();
+            throw error;
+        }
+
+        if (!this.connections.has(key)) this.connections.set(key, new Set());
+        this.connections.get(key).add(connection);
+
         connection.on('idle', () => {
             this.processQueue();
         });
 
         connection.on('close', () => {
-            this.connections.delete(key);
+            const connections = this.connections.get(key);
+            connections?.delete(connection);
+            if (connections?.size === 0) this.connections.delete(key);
             this.activeConnections--;
             this.processQueue();
         });
 
-        try {
-            await connection.connect();
-            this.connections.set(key, connection);
-            this.activeConnections++;
-            return connection;
-        } catch (error) {
-            this.activeConnections--;
-            throw error;
-        }
+        connection.markBusy();
+        return connection;
     }
 
     /**
-     * Process queued connection requests
+     * Hand idle connections to queued requests, or open new ones while there is room
      */
     processQueue() {
-        if (this.queue.length === 0 || this.activeConnections >= this.options.maxConnections) {
-            return;
-        }
+        while (this.queue.length > 0) {
+            const { config, resolve, reject, key } = this.queue[0];
+
+            const idleConnection = this.findIdleConnection(key);
+            if (idleConnection) {
+                this.queue.shift();
+                idleConnection.markBusy();
+                resolve(idleConnection);
+                continue;
+            }
 
-        const { config, resolve, reject, key } = this.queue.shift();
+            if (this.activeConnections >= this.options.maxConnections) {
+                return;
+            }
 
-        this.createConnection(config, key)
-            .then(resolve)
-            .catch(reject);
+            this.queue.shift();
+            this.createConnection(config, key)
+                .then(resolve)
+                .catch(reject);
+        }
     }
 
     /**
@@ -140,12 +179,13 @@ export class SMTPConnectionPool extends EventEmitter {
 
         connection.markIdle();
 
-        // Set idle timeout
+        // Set idle timeout, without keeping the process alive once the pool has been closed.
+        // A connection reused in the meantime has a newer lastUsed and isn't expired yet.
         setTimeout(() => {
-            if (connection.isIdle() && !connection.closed) {
+            if (connection.isIdle() && connection.isExpired()) {
                 connection.close();
             }
-        }, this.options.idleTimeout);
+        }, this.options.idleTimeout + 1).unref();
     }
 
     /**
@@ -161,20 +201,24 @@ export class SMTPConnectionPool extends EventEmitter {
         this.queue = [];
 
         // Close all connections
-        const closePromises = Array.from(this.connections.values()).map(conn => conn.close());
+        const closePromises = this.getAllConnections().map(conn => conn.close());
         await Promise.all(closePromises);
 
         this.connections.clear();
         this.activeConnections = 0;
     }
 
+    getAllConnections() {
+        return Array.from(this.connections.values()).flatMap(connections => Array.from(connections));
+    }
+
     /**
      * Get pool statistics
      */
     getStats() {
         return {
             activeConnections: this.activeConnections,
-            idleConnections: Array.from(this.connections.values()).filter(c => c.isIdle()).length,
+            idleConnections: this.getAllConnections().filter(c => c.isIdle()).length,
             queuedRequests: this.queue.length,
             messagesSent: this.messagesSent,
             maxConnections: this.options.maxConnections
@@ -202,10 +246,39 @@ class PooledSMTPConnection extends EventEmitter {
         // Import SMTPClient here to avoid circular dependency
         const { SMTPClient } = await import('./smtpClient.js');
 
-        this.client = new SMTPClient(this.config);
-        await this.client.connect();
-        await this.client.readResponse();
-        await this.client.authenticate();
+        const client = new SMTPClient(this.config);
+        this.client = client;
+        await client.connect();
+        await client.readResponse();
+        await client.authenticate();
+
+        // The server may drop an idle session (timeout, 421, reset); take the connection out of the pool
+        client.socket.once('close', () => {
+            if (this.client === client) this.close();
+        });
+    }
+
+    /**
+     * Replace the SMTP session with a freshly authenticated one
+     */
+    async reconnect() {
+        // The old session may already be dead, so don't wait for a QUIT reply
+        this.client?.socket?.destroy();
+        this.client = null;
+
+        invalidateAccessToken(this.config.auth, this.config.host);
+        await this.connect();
+    }
+
+    /**
+     * Whether an error means the server no longer accepts this session's OAuth2 token
+     */
+    isTokenRejected(error) {
+        const authType = this.config.auth?.type?.toLowerCase();
+        if ((authType !== 'oauth2' && authType !== 'xoauth2') || !canRefreshAccessToken(this.config.auth)) {
+            return false;
+        }
+        return [530, 535, 454].includes(error.responseCode);
     }
 
     async sendMail(mailOptions) {
@@ -214,10 +287,28 @@ class PooledSMTPConnection extends EventEmitter {
         }
 
         this.lastUsed = Date.now();
-        const messageId = await this.client.sendMail(mailOptions);
+        let info;
+
+        try {
+            info = await this.client.sendMail(mailOptions);
+        } catch (error) {
+            if (!this.client?.socket) {
+                // The client dropped a session stuck mid-transaction; take it out of the pool
+                await this.close();
+                throw error;
+            }
+            if (!this.isTokenRejected(error)) {
+                throw error;
+            }
+
+            if (this.config.debug) console.log('Access token expired, re-authenticating pooled connection');
+            await this.reconnect();
+            info = await this.client.sendMail(mailOptions);
+        }
+
         this.messageCount++;
 
-        return messageId;
+        return info;
     }
 
     markBusy() {
@@ -226,11 +317,12 @@ class PooledSMTPConnection extends EventEmitter {
 
     markIdle() {
         this.busy = false;
+        this.lastUsed = Date.now();
         this.emit('idle');
     }
 
     isIdle() {
-        return !this.busy && !this.closed;
+        return !this.busy && !this.closed && Boolean(this.client?.socket);
     }
 
     isExpired() {
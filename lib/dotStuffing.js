@@ -0,0 +1,56 @@
+/**
+ * SMTP DATA transparency (RFC 5321 section 4.5.2)
+ * Doubles every "." that starts a line and terminates the message with "<CRLF>.<CRLF>"
+ */
+
+import { Transform } from "stream";
+
+const CR = 0x0d;
+const LF = 0x0a;
+const DOT = 0x2e;
+
+export class DotStuffingStream extends Transform {
+    constructor(options = {}) {
+        super(options);
+        // The start of the message counts as the start of a line
+        this.previous = [CR, LF];
+    }
+
+    isLineStart(data, index) {
+        const beforeLast = index >= 2 ? data[index - 2] : index === 1 ? this.previous[1] : this.previous[0];
+        const last = index >= 1 ? data[index - 1] : this.previous[1];
+        return beforeLast === CR && last === LF;
+    }
+
+    _transform(chunk, encoding, callback) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+        if (data.length === 0) {
+            return callback();
+        }
+
+        const parts = [];
+        let start = 0;
+        let index = data.indexOf(DOT);
+
+        while (index !== -1) {
+            if (this.isLineStart(data, index)) {
+                // Emit up to and including the dot, then start the next slice at the same dot
+                parts.push(data.subarray(start, index + 1));
+                start = index;
+            }
+            index = data.indexOf(DOT, index + 1);
+        }
+        parts.push(data.subarray(start));
+
+        this.previous = data.length >= 2
+            ? [data[data.length - 2], data[data.length - 1]]
+            : [this.previous[1], data[0]];
+
+        callback(null, parts.length === 1 ? data : Buffer.concat(parts));
+    }
+
+    _flush(callback) {
+        const endsWithNewline = this.previous[0] === CR && this.previous[1] === LF;
+        callback(null, endsWithNewline ? ".\r\n" : "\r\n.\r\n");
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Structured SMTP errors
+ * Carries the reply code, RFC 3463 enhanced status code and failing command so callers can decide
+ * whether to retry, drop or alert
+ */
+
+export class SMTPError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} details - `response` (full server reply) and `command` (the command that failed)
+     */
+    constructor(message, { response = "", command = null } = {}) {
+        super(message);
+        this.name = "SMTPError";
+
+        const firstLine = response.split("\n")[0] || "";
+        const replyCode = firstLine.match(/^(\d{3})/);
+        const enhanced = firstLine.match(/^\d{3}[ -]([245]\.\d{1,3}\.\d{1,3})\b/);
+
+        /** SMTP reply code, e.g. 550 */
+        this.responseCode = replyCode ? Number(replyCode[1]) : null;
+        /** RFC 3463 enhanced status code, e.g. "5.1.1" */
+        this.enhancedStatusCode = enhanced ? enhanced[1] : null;
+        /** Command that triggered the reply (credentials are never included) */
+        this.command = command;
+        /** Full, possibly multi-line, server response */
+        this.response = response;
+    }
+
+    /**
+     * 4xx replies (and x.x.x enhanced codes starting with 4) are temporary and worth retrying
+     */
+    get transient() {
+        if (this.enhancedStatusCode) return this.enhancedStatusCode.startsWith("4");
+        return this.responseCode !== null && this.responseCode >= 400 && this.responseCode < 500;
+    }
+
+    /**
+     * 5xx replies will fail again if retried unchanged
+     */
+    get permanent() {
+        if (this.enhancedStatusCode) return this.enhancedStatusCode.startsWith("5");
+        return this.responseCode !== null && this.responseCode >= 500;
+    }
+
+    /**
+     * "transient", "permanent" or "unknown"
+     */
+    get classification() {
+        if (this.transient) return "transient";
+        if (this.permanent) return "permanent";
+        return "unknown";
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            responseCode: this.responseCode,
+            enhancedStatusCode: this.enhancedStatusCode,
+            command: this.command,
+            response: this.response,
+            classification: this.classification,
+        };
+    }
+}
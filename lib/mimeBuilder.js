@@ -0,0 +1,371 @@
+/**
+ * Streaming MIME message builder
+ * Serializes a message part by part so attachments are read lazily and never held in memory as a whole
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { Readable } from "stream";
+import { lookupMimeType } from "./mimeTypes.js";
+import {
+    encodeHeader,
+    encodeAddressList,
+    encodeHeaderParameter,
+    foldHeader,
+    normalizeLineEndings,
+    selectTransferEncoding,
+    encodeQuotedPrintable,
+} from "./mimeEncoding.js";
+
+// 57 raw bytes encode to exactly one 76 character base64 line
+const BASE64_LINE_BYTES = 57;
+const BASE64_LINE_LENGTH = 76 + 2;
+const ATTACHMENT_CHUNK_SIZE = BASE64_LINE_BYTES * 1024;
+
+/**
+ * Generate a unique Message-ID for the given host
+ */
+export function generateMessageId(hostname) {
+    return `<${Date.now()}.${Math.random().toString(36).substr(2, 9)}@${hostname}>`;
+}
+
+/**
+ * Generate a unique multipart boundary
+ */
+export function generateBoundary(prefix = "Part") {
+    return `----=_${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Encode an async iterable of Buffers as base64 wrapped at 76 characters per line
+ */
+export async function* base64Lines(source) {
+    let remainder = Buffer.alloc(0);
+
+    for await (const chunk of source) {
+        const data = remainder.length ? Buffer.concat([remainder, chunk]) : chunk;
+        const usable = data.length - (data.length % BASE64_LINE_BYTES);
+
+        remainder = data.subarray(usable);
+        if (usable > 0) {
+            yield wrapBase64(data.subarray(0, usable).toString("base64"));
+        }
+    }
+
+    if (remainder.length > 0) {
+        yield wrapBase64(remainder.toString("base64"));
+    }
+}
+
+/**
+ * Length of base64Lines() output for the given number of raw bytes
+ */
+export function base64LinesLength(byteLength) {
+    const remainder = byteLength % BASE64_LINE_BYTES;
+    const fullLines = (byteLength - remainder) / BASE64_LINE_BYTES;
+    return fullLines * BASE64_LINE_LENGTH + (remainder > 0 ? Math.ceil(remainder / 3) * 4 + 2 : 0);
+}
+
+function wrapBase64(encoded) {
+    let output = "";
+    for (let i = 0; i < encoded.length; i += 76) {
+        output += encoded.substring(i, i + 76) + "\r\n";
+    }
+    return output;
+}
+
+function encodeTextBody(text, encoding) {
+    switch (encoding) {
+        case "base64":
+            return base64Lines([Buffer.from(text, "utf8")]);
+        case "quoted-printable":
+            return [encodeQuotedPrintable(text) + "\r\n"];
+        default:
+            return [text + "\r\n"];
+    }
+}
+
+/**
+ * Resolve an attachment (path, Buffer, string or Readable) to an async iterable of Buffers
+ */
+export function openAttachment(attachment) {
+    if (attachment.path) {
+        return fs.createReadStream(attachment.path, { highWaterMark: ATTACHMENT_CHUNK_SIZE });
+    }
+
+    const { content } = attachment;
+
+    if (Buffer.isBuffer(content)) {
+        return [content];
+    }
+
+    if (typeof content === "string") {
+        return [Buffer.from(content, attachment.encoding || "utf8")];
+    }
+
+    if (content && typeof content[Symbol.asyncIterator] === "function") {
+        return streamToBuffers(content, attachment.encoding);
+    }
+
+    throw new Error(`Attachment '${attachment.filename}' must have a path or Buffer, string or stream content`);
+}
+
+/**
+ * Raw byte length of an attachment, or null for streams whose length is unknown until read
+ */
+async function getAttachmentLength(attachment) {
+    if (attachment.path) {
+        return (await fs.promises.stat(attachment.path)).size;
+    }
+
+    const { content } = attachment;
+    if (Buffer.isBuffer(content)) {
+        return content.length;
+    }
+    if (typeof content === "string") {
+        return Buffer.byteLength(content, attachment.encoding || "utf8");
+    }
+    return null;
+}
+
+async function* streamToBuffers(stream, encoding = "utf8") {
+    for await (const chunk of stream) {
+        // Streams with setEncoding() yield strings
+        yield Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    }
+}
+
+function toArray(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+export class MimeMessage {
+    constructor(mailOptions, options = {}) {
+        this.mail = mailOptions;
+        this.hostname = options.hostname || "localhost";
+        this.messageId = mailOptions.messageId || generateMessageId(this.hostname);
+        // Send UTF-8 text bodies unencoded, for transactions that are 8-bit anyway (SMTPUTF8)
+        this.allow8bit = options.allow8bit || false;
+        this.headers = null;
+        this.tree = null;
+        this.eightBitParts = false;
+    }
+
+    /**
+     * Headers and part tree, built once so the measured size matches what is sent
+     */
+    build() {
+        if (!this.tree) {
+            this.headers = this.buildHeaders();
+            this.tree = this.buildTree();
+        }
+        return { headers: this.headers, tree: this.tree };
+    }
+
+    /**
+     * Whether the serialized message contains 8-bit data (UTF-8 addresses or 8bit text parts)
+     */
+    is8Bit() {
+        const { headers } = this.build();
+        return headers.some((header) => !/^[\x00-\x7f]*$/.test(header)) || this.eightBitParts;
+    }
+
+    /**
+     * Build the top-level message headers (without the root Content-Type)
+     */
+    buildHeaders() {
+        const mail = this.mail;
+        const headers = [];
+
+        headers.push(`From: ${mail.fromHeader}`);
+        headers.push(`To: ${encodeAddressList(toArray(mail.to))}`);
+
+        // Add CC header (but not BCC for privacy)
+        if (mail.cc) {
+            headers.push(`Cc: ${encodeAddressList(toArray(mail.cc))}`);
+        }
+
+        if (mail.replyTo) {
+            headers.push(`Reply-To: ${encodeAddressList(mail.replyTo)}`);
+        }
+
+        headers.push(encodeHeader("Subject", mail.subject));
+        headers.push(`Message-ID: ${this.messageId}`);
+        headers.push(`Date: ${mail.date ? mail.date.toUTCString() : new Date().toUTCString()}`);
+
+        if (mail.priority && mail.priority !== "normal") {
+            const priorityMap = { high: "1 (Highest)", low: "5 (Lowest)" };
+            headers.push(`X-Priority: ${priorityMap[mail.priority]}`);
+        }
+
+        if (mail.headers) {
+            for (const [key, value] of Object.entries(mail.headers)) {
+                headers.push(encodeHeader(key, value));
+            }
+        }
+
+        headers.push("MIME-Version: 1.0");
+
+        return headers;
+    }
+
+    /**
+     * Build the MIME part tree for the message body and attachments
+     */
+    buildTree() {
+        const mail = this.mail;
+        let body;
+
+        let attachments = toArray(mail.attachments);
+        let html = null;
+
+        if (mail.html) {
+            // Attachments with a cid are embedded next to the HTML they are referenced from
+            const inline = attachments.filter((attachment) => attachment.cid);
+            attachments = attachments.filter((attachment) => !attachment.cid);
+
+            html = this.createTextPart("text/html", mail.html);
+            if (inline.length > 0) {
+                html = this.createMultipart("related", [
+                    html,
+                    ...inline.map((attachment) => this.createAttachmentPart(attachment)),
+                ]);
+            }
+        }
+
+        if (html && mail.text) {
+            body = this.createMultipart("alternative", [
+                this.createTextPart("text/plain", mail.text),
+                html,
+            ]);
+        } else if (html) {
+            body = html;
+        } else {
+            body = this.createTextPart("text/plain", mail.text || "");
+        }
+
+        if (attachments.length === 0) {
+            return body;
+        }
+
+        return this.createMultipart("mixed", [
+            body,
+            ...attachments.map((attachment) => this.createAttachmentPart(attachment)),
+        ]);
+    }
+
+    createMultipart(subtype, children) {
+        const boundary = generateBoundary(subtype === "mixed" ? "Part" : `Part_${subtype}`);
+        // RFC 2387 requires the root part type on multipart/related
+        const type = subtype === "related" ? `; type="text/html"` : "";
+        return {
+            headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"${type}`],
+            boundary,
+            children,
+        };
+    }
+
+    createTextPart(contentType, content) {
+        const text = normalizeLineEndings(content);
+        const encoding = selectTransferEncoding(text, { allow8bit: this.allow8bit });
+        if (encoding === "8bit") this.eightBitParts = true;
+
+        return {
+            headers: [
+                `Content-Type: ${contentType}; charset=utf-8`,
+                `Content-Transfer-Encoding: ${encoding}`,
+            ],
+            content: () => encodeTextBody(text, encoding),
+            size: async () => {
+                let size = 0;
+                for await (const chunk of encodeTextBody(text, encoding)) {
+                    size += Buffer.byteLength(chunk);
+                }
+                return size;
+            },
+        };
+    }
+
+    createAttachmentPart(attachment) {
+        const filename = attachment.filename || (attachment.path ? path.basename(attachment.path) : "attachment");
+        const contentType = attachment.contentType || lookupMimeType(attachment.filename || attachment.path);
+        const headers = [
+            `Content-Type: ${contentType}; ${encodeHeaderParameter("name", filename)}`,
+            "Content-Transfer-Encoding: base64",
+        ];
+
+        if (attachment.cid) {
+            headers.push(`Content-ID: <${attachment.cid.replace(/^<|>$/g, "")}>`);
+            headers.push(`Content-Disposition: inline; ${encodeHeaderParameter("filename", filename)}`);
+        } else {
+            headers.push(`Content-Disposition: attachment; ${encodeHeaderParameter("filename", filename)}`);
+        }
+
+        return {
+            headers,
+            // Opened only when the part is serialized
+            content: () => base64Lines(openAttachment(attachment)),
+            size: async () => {
+                const length = await getAttachmentLength(attachment);
+                return length === null ? null : base64LinesLength(length);
+            },
+        };
+    }
+
+    async *serializeNode(node) {
+        yield node.headers.map(foldHeader).join("\r\n") + "\r\n\r\n";
+
+        if (node.children) {
+            for (const child of node.children) {
+                yield `--${node.boundary}\r\n`;
+                yield* this.serializeNode(child);
+            }
+            yield `--${node.boundary}--\r\n`;
+        } else {
+            yield* node.content();
+        }
+    }
+
+    async measureNode(node) {
+        let size = Buffer.byteLength(node.headers.map(foldHeader).join("\r\n") + "\r\n\r\n");
+
+        if (!node.children) {
+            const contentSize = await node.size();
+            return contentSize === null ? null : size + contentSize;
+        }
+
+        for (const child of node.children) {
+            const childSize = await this.measureNode(child);
+            if (childSize === null) return null;
+            size += Buffer.byteLength(`--${node.boundary}\r\n`) + childSize;
+        }
+        return size + Buffer.byteLength(`--${node.boundary}--\r\n`);
+    }
+
+    /**
+     * Size in bytes of the serialized message, without reading attachments.
+     * Returns null when a stream attachment makes it unknown.
+     */
+    async getSize() {
+        const { headers, tree } = this.build();
+        const bodySize = await this.measureNode(tree);
+        return bodySize === null ? null : Buffer.byteLength(headers.map(foldHeader).join("\r\n") + "\r\n") + bodySize;
+    }
+
+    /**
+     * Generate the serialized message chunk by chunk
+     */
+    async *generate() {
+        const { headers, tree } = this.build();
+        yield headers.map(foldHeader).join("\r\n") + "\r\n";
+        yield* this.serializeNode(tree);
+    }
+
+    /**
+     * Create a Readable stream of the serialized message
+     */
+    createReadStream() {
+        return Readable.from(this.generate(), { objectMode: false });
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * MIME encoding helpers
+ * RFC 2047 encoded-words, RFC 2231 parameter values, RFC 5322 header folding and RFC 2045 body transfer encodings
+ */
+
+import { toASCIIAddress, toAddressList } from "./address.js";
+
+const MAX_LINE_LENGTH = 78;
+// Hard limit for any line, headers included (RFC 5322 2.1.1), excluding the CRLF
+const MAX_HARD_LINE_LENGTH = 998;
+// An encoded-word may not be longer than 75 characters including "=?UTF-8?X?" and "?="
+const MAX_ENCODED_WORD_LENGTH = 75 - "=?UTF-8?B??=".length;
+
+/**
+ * Check whether a value can be written into a header as-is (printable US-ASCII)
+ */
+export function isPlainHeaderValue(value) {
+    return /^[\x20-\x7e\t]*$/.test(value);
+}
+
+function encodeQ(value) {
+    let output = "";
+    for (const byte of Buffer.from(value, "utf8")) {
+        const char = String.fromCharCode(byte);
+        if (char === " ") {
+            output += "_";
+        } else if (/[A-Za-z0-9!*+\-/]/.test(char)) {
+            output += char;
+        } else {
+            output += "=" + byte.toString(16).toUpperCase().padStart(2, "0");
+        }
+    }
+    return output;
+}
+
+function encodeB(value) {
+    return Buffer.from(value, "utf8").toString("base64");
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded-words if it contains non-ASCII characters.
+ * Q encoding is used for mostly-ASCII text and B (base64) otherwise; long values are split
+ * into several encoded-words on character boundaries so they can be folded.
+ * `force` encodes printable ASCII too.
+ */
+export function encodeWords(value, { force = false } = {}) {
+    value = String(value ?? "");
+    if (!force && isPlainHeaderValue(value)) {
+        return value;
+    }
+
+    const bytes = Buffer.byteLength(value, "utf8");
+    const nonAscii = bytes - value.replace(/[^\x00-\x7f]/g, "").length;
+    const mode = nonAscii > bytes / 3 ? "B" : "Q";
+    const encode = mode === "B" ? encodeB : encodeQ;
+
+    const words = [];
+    let chunk = "";
+    for (const char of value) {
+        if (chunk && encode(chunk + char).length > MAX_ENCODED_WORD_LENGTH) {
+            words.push(chunk);
+            chunk = "";
+        }
+        chunk += char;
+    }
+    if (chunk) words.push(chunk);
+
+    return words.map((word) => `=?UTF-8?${mode}?${encode(word)}?=`).join(" ");
+}
+
+/**
+ * Format a display name for use in an address header, quoting or encoding it as needed
+ */
+export function encodeDisplayName(name) {
+    if (!isPlainHeaderValue(name)) {
+        return encodeWords(name);
+    }
+    // Atoms can be written bare, anything with specials has to be a quoted-string
+    if (/^[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~ ]+$/.test(name)) {
+        return name;
+    }
+    return `"${name.replace(/(["\\])/g, "\\$1")}"`;
+}
+
+/**
+ * Format a name and address as `Display Name <address>`
+ */
+export function formatAddress(name, address) {
+    address = toASCIIAddress(address);
+    return name ? `${encodeDisplayName(name)} <${address}>` : address;
+}
+
+/**
+ * Format recipients (address-list strings, `{ name, address }` objects or arrays of either)
+ * as an RFC 5322 address-list header value
+ */
+export function encodeAddressList(addresses) {
+    const formatList = (list) => list.map((entry) => formatAddress(entry.name, entry.address)).join(", ");
+
+    return toAddressList(addresses)
+        .map((entry) => (entry.group ? `${encodeDisplayName(entry.name)}: ${formatList(entry.group)};` : formatList([entry])))
+        .join(", ");
+}
+
+/**
+ * Build a header parameter, using RFC 2231 encoding and continuations for non-ASCII or long values
+ */
+export function encodeHeaderParameter(key, value) {
+    value = String(value);
+    const plain = `${key}="${value.replace(/(["\\])/g, "\\$1")}"`;
+
+    if (isPlainHeaderValue(value) && plain.length <= MAX_LINE_LENGTH - 2) {
+        return plain;
+    }
+
+    const encoded = encodeURIComponent(value).replace(/['()*]/g, (char) =>
+        "%" + char.charCodeAt(0).toString(16).toUpperCase()
+    );
+    const prefix = "utf-8''";
+
+    if (prefix.length + encoded.length + key.length + 2 <= MAX_LINE_LENGTH - 2) {
+        return `${key}*=${prefix}${encoded}`;
+    }
+
+    // Split into continuations without breaking a %XX escape
+    const segments = [];
+    let rest = prefix + encoded;
+    const segmentLength = MAX_LINE_LENGTH - key.length - 10;
+    while (rest.length > 0) {
+        let length = Math.min(segmentLength, rest.length);
+        const escape = rest.lastIndexOf("%", length - 1);
+        if (escape > length - 3 && escape >= 0 && length < rest.length) {
+            length = escape;
+        }
+        segments.push(rest.substring(0, length));
+        rest = rest.substring(length);
+    }
+
+    return segments.map((segment, index) => `${key}*${index}*=${segment}`).join("; ");
+}
+
+/**
+ * Fold a header line at whitespace so that no line exceeds 78 characters where possible
+ */
+export function foldHeader(line) {
+    if (line.length <= MAX_LINE_LENGTH) {
+        return line;
+    }
+
+    // Split before each run of whitespace, keeping the whitespace with the following token
+    const tokens = line.split(/(?=[ \t]+)/);
+    const lines = [];
+    let current = "";
+
+    for (const token of tokens) {
+        if (current && current.trim() && current.length + token.length > MAX_LINE_LENGTH) {
+            lines.push(current);
+            current = token;
+        } else {
+            current += token;
+        }
+    }
+    if (current) lines.push(current);
+
+    const tooLong = lines.find((folded) => folded.length > MAX_HARD_LINE_LENGTH);
+    if (tooLong) {
+        throw new Error(`Header line exceeds ${MAX_HARD_LINE_LENGTH} characters and cannot be folded: ${tooLong.substring(0, 40)}...`);
+    }
+
+    return lines.join("\r\n");
+}
+
+/**
+ * Build an unstructured header line (not yet folded). A value with a word too long to fit a
+ * 998-character line even after folding is sent as encoded-words, which can be split.
+ */
+export function encodeHeader(key, value) {
+    value = String(value ?? "");
+    const prefix = `${key}: `;
+    const longestWord = Math.max(0, ...value.split(/[ \t]+/).map((word) => word.length));
+    const force = prefix.length + longestWord > MAX_HARD_LINE_LENGTH;
+    return prefix + encodeWords(value, { force });
+}
+
+/**
+ * Format a complete, encoded and folded header line
+ */
+export function formatHeader(key, value) {
+    return foldHeader(encodeHeader(key, value));
+}
+
+/**
+ * Normalize bare CR and LF line breaks to CRLF as required on the wire
+ */
+export function normalizeLineEndings(text) {
+    return String(text).replace(/\r\n|\r|\n/g, "\r\n");
+}
+
+/**
+ * Pick the Content-Transfer-Encoding for a text body:
+ * 7bit for short-lined ASCII, 8bit for UTF-8 text when allowed, quoted-printable for mostly-ASCII
+ * text and base64 otherwise
+ */
+export function selectTransferEncoding(text, { allow8bit = false } = {}) {
+    const lines = text.split("\r\n");
+    const ascii = /^[\x00-\x7f]*$/.test(text);
+
+    if (ascii && lines.every((line) => line.length <= 76)) {
+        return "7bit";
+    }
+
+    // RFC 5321 caps lines at 998 octets even for 8bit content
+    if (allow8bit && !ascii && lines.every((line) => Buffer.byteLength(line, "utf8") <= 998)) {
+        return "8bit";
+    }
+
+    const bytes = Buffer.byteLength(text, "utf8");
+    const nonAscii = bytes - text.replace(/[^\x00-\x7f]/g, "").length;
+    return nonAscii > bytes / 4 ? "base64" : "quoted-printable";
+}
+
+/**
+ * Quoted-printable encode text (RFC 2045), keeping every line at or under 76 characters
+ */
+export function encodeQuotedPrintable(text) {
+    return normalizeLineEndings(text)
+        .split("\r\n")
+        .map((line) => {
+            const bytes = Buffer.from(line, "utf8");
+            const output = [];
+            let current = "";
+
+            bytes.forEach((byte, index) => {
+                const isLast = index === bytes.length - 1;
+                let token;
+
+                if ((byte === 0x20 || byte === 0x09) && !isLast) {
+                    token = String.fromCharCode(byte);
+                } else if (byte >= 33 && byte <= 126 && byte !== 0x3d) {
+                    token = String.fromCharCode(byte);
+                } else {
+                    token = "=" + byte.toString(16).toUpperCase().padStart(2, "0");
+                }
+
+                // Leave room for the trailing "=" of a soft line break
+                if (current.length + token.length > 75) {
+                    output.push(current + "=");
+                    current = "";
+                }
+                current += token;
+            });
+
+            output.push(current);
+            return output.join("\r\n");
+        })
+        .join("\r\n");
+}
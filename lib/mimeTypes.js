@@ -0,0 +1,97 @@
+/**
+ * Built-in extension to MIME type table for attachments
+ * Covers the file types commonly sent by email; anything else falls back to application/octet-stream
+ */
+
+import * as path from "path";
+
+export const DEFAULT_MIME_TYPE = "application/octet-stream";
+
+export const MIME_TYPES = {
+    // Documents
+    pdf: "application/pdf",
+    doc: "application/msword",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xls: "application/vnd.ms-excel",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ppt: "application/vnd.ms-powerpoint",
+    pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    odt: "application/vnd.oasis.opendocument.text",
+    ods: "application/vnd.oasis.opendocument.spreadsheet",
+    odp: "application/vnd.oasis.opendocument.presentation",
+    rtf: "application/rtf",
+    epub: "application/epub+zip",
+
+    // Text
+    txt: "text/plain",
+    log: "text/plain",
+    md: "text/markdown",
+    csv: "text/csv",
+    tsv: "text/tab-separated-values",
+    htm: "text/html",
+    html: "text/html",
+    css: "text/css",
+    xml: "application/xml",
+    ics: "text/calendar",
+    ical: "text/calendar",
+    vcf: "text/vcard",
+    vcard: "text/vcard",
+
+    // Data & code
+    json: "application/json",
+    js: "text/javascript",
+    mjs: "text/javascript",
+    yaml: "application/yaml",
+    yml: "application/yaml",
+
+    // Images
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    bmp: "image/bmp",
+    webp: "image/webp",
+    svg: "image/svg+xml",
+    ico: "image/vnd.microsoft.icon",
+    tif: "image/tiff",
+    tiff: "image/tiff",
+    heic: "image/heic",
+    avif: "image/avif",
+
+    // Audio & video
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    ogg: "audio/ogg",
+    m4a: "audio/mp4",
+    mp4: "video/mp4",
+    mov: "video/quicktime",
+    webm: "video/webm",
+    avi: "video/x-msvideo",
+
+    // Archives
+    zip: "application/zip",
+    gz: "application/gzip",
+    tgz: "application/gzip",
+    tar: "application/x-tar",
+    rar: "application/vnd.rar",
+    "7z": "application/x-7z-compressed",
+
+    // Email
+    eml: "message/rfc822",
+    msg: "application/vnd.ms-outlook",
+
+    // Security
+    p7s: "application/pkcs7-signature",
+    p7m: "application/pkcs7-mime",
+    asc: "application/pgp-signature",
+};
+
+/**
+ * Look up the MIME type for a filename or path by its extension
+ */
+export function lookupMimeType(filename) {
+    if (!filename) return DEFAULT_MIME_TYPE;
+
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    return MIME_TYPES[extension] || DEFAULT_MIME_TYPE;
+}
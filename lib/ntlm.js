@@ -0,0 +1,199 @@
+/**
+ * NTLM authentication messages (MS-NLMP) for SMTP AUTH NTLM
+ * Implements the Negotiate / Challenge / Authenticate exchange with NTLMv2 responses
+ */
+
+import * as crypto from "crypto";
+
+const SIGNATURE = Buffer.from("NTLMSSP\0", "ascii");
+
+const FLAGS = {
+    UNICODE: 0x00000001,
+    REQUEST_TARGET: 0x00000004,
+    NTLM: 0x00000200,
+    ALWAYS_SIGN: 0x00008000,
+    EXTENDED_SESSION_SECURITY: 0x00080000,
+    TARGET_INFO: 0x00800000,
+    VERSION: 0x02000000,
+    NEGOTIATE_128: 0x20000000,
+    NEGOTIATE_56: 0x80000000,
+};
+
+const NEGOTIATE_FLAGS =
+    FLAGS.UNICODE |
+    FLAGS.REQUEST_TARGET |
+    FLAGS.NTLM |
+    FLAGS.ALWAYS_SIGN |
+    FLAGS.EXTENDED_SESSION_SECURITY |
+    FLAGS.NEGOTIATE_128 |
+    FLAGS.NEGOTIATE_56;
+
+// Windows FILETIME epoch (1601-01-01) offset from the Unix epoch, in milliseconds
+const FILETIME_EPOCH_OFFSET = 11644473600000n;
+
+/**
+ * MD4 digest (RFC 1320). OpenSSL 3 no longer ships MD4 by default, so it is implemented here.
+ */
+export function md4(input) {
+    const message = Buffer.from(input);
+    const total = Math.ceil((message.length + 9) / 64) * 64;
+    const data = Buffer.alloc(total);
+    const bitLength = message.length * 8;
+
+    message.copy(data);
+    data[message.length] = 0x80;
+    data.writeUInt32LE(bitLength >>> 0, total - 8);
+    data.writeUInt32LE(Math.floor(bitLength / 0x100000000), total - 4);
+
+    const F = (x, y, z) => (x & y) | (~x & z);
+    const G = (x, y, z) => (x & y) | (x & z) | (y & z);
+    const H = (x, y, z) => x ^ y ^ z;
+    const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+    let a = 0x67452301;
+    let b = 0xefcdab89;
+    let c = 0x98badcfe;
+    let d = 0x10325476;
+
+    for (let offset = 0; offset < total; offset += 64) {
+        const X = [];
+        for (let i = 0; i < 16; i++) X[i] = data.readInt32LE(offset + i * 4);
+
+        const [aa, bb, cc, dd] = [a, b, c, d];
+
+        for (const i of [0, 4, 8, 12]) {
+            a = rotl((a + F(b, c, d) + X[i]) | 0, 3);
+            d = rotl((d + F(a, b, c) + X[i + 1]) | 0, 7);
+            c = rotl((c + F(d, a, b) + X[i + 2]) | 0, 11);
+            b = rotl((b + F(c, d, a) + X[i + 3]) | 0, 19);
+        }
+
+        for (const i of [0, 1, 2, 3]) {
+            a = rotl((a + G(b, c, d) + X[i] + 0x5a827999) | 0, 3);
+            d = rotl((d + G(a, b, c) + X[i + 4] + 0x5a827999) | 0, 5);
+            c = rotl((c + G(d, a, b) + X[i + 8] + 0x5a827999) | 0, 9);
+            b = rotl((b + G(c, d, a) + X[i + 12] + 0x5a827999) | 0, 13);
+        }
+
+        for (const i of [0, 2, 1, 3]) {
+            a = rotl((a + H(b, c, d) + X[i] + 0x6ed9eba1) | 0, 3);
+            d = rotl((d + H(a, b, c) + X[i + 8] + 0x6ed9eba1) | 0, 9);
+            c = rotl((c + H(d, a, b) + X[i + 4] + 0x6ed9eba1) | 0, 11);
+            b = rotl((b + H(c, d, a) + X[i + 12] + 0x6ed9eba1) | 0, 15);
+        }
+
+        a = (a + aa) | 0;
+        b = (b + bb) | 0;
+        c = (c + cc) | 0;
+        d = (d + dd) | 0;
+    }
+
+    const digest = Buffer.alloc(16);
+    [a, b, c, d].forEach((word, index) => digest.writeInt32LE(word, index * 4));
+    return digest;
+}
+
+function hmacMD5(key, ...data) {
+    const hmac = crypto.createHmac("md5", key);
+    data.forEach((chunk) => hmac.update(chunk));
+    return hmac.digest();
+}
+
+function utf16(value) {
+    return Buffer.from(value || "", "utf16le");
+}
+
+/**
+ * NTOWFv2: HMAC-MD5 of the uppercased user and domain keyed with the MD4 password hash
+ */
+export function ntowfv2(user, pass, domain) {
+    return hmacMD5(md4(utf16(pass)), utf16(user.toUpperCase() + domain));
+}
+
+/**
+ * Split "DOMAIN\user" into its parts, falling back to the configured domain
+ */
+export function parseNtlmUser(user, domain = "") {
+    const separator = user.indexOf("\\");
+    if (separator === -1) {
+        return { user, domain };
+    }
+    return { user: user.substring(separator + 1), domain: user.substring(0, separator) };
+}
+
+/**
+ * Build the Type 1 (Negotiate) message
+ */
+export function createNegotiateMessage() {
+    const message = Buffer.alloc(32);
+    SIGNATURE.copy(message, 0);
+    message.writeUInt32LE(1, 8);
+    message.writeUInt32LE(NEGOTIATE_FLAGS >>> 0, 12);
+    // Empty domain and workstation security buffers pointing at the end of the message
+    message.writeUInt32LE(32, 20);
+    message.writeUInt32LE(32, 28);
+    return message;
+}
+
+/**
+ * Parse the Type 2 (Challenge) message sent by the server
+ */
+export function parseChallengeMessage(message) {
+    if (message.length < 32 || !message.subarray(0, 8).equals(SIGNATURE) || message.readUInt32LE(8) !== 2) {
+        throw new Error("Invalid NTLM challenge message from server");
+    }
+
+    const flags = message.readUInt32LE(20);
+    const challenge = message.subarray(24, 32);
+    let targetInfo = Buffer.alloc(0);
+
+    if (message.length >= 48 && flags & FLAGS.TARGET_INFO) {
+        const length = message.readUInt16LE(40);
+        const offset = message.readUInt32LE(44);
+        targetInfo = message.subarray(offset, offset + length);
+    }
+
+    return { flags, challenge, targetInfo };
+}
+
+/**
+ * Build the Type 3 (Authenticate) message with NTLMv2 and LMv2 responses
+ */
+export function createAuthenticateMessage(challenge, { user, pass, domain = "", workstation = "" }) {
+    const clientChallenge = crypto.randomBytes(8);
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64LE((BigInt(Date.now()) + FILETIME_EPOCH_OFFSET) * 10000n);
+
+    const responseKey = ntowfv2(user, pass, domain);
+
+    const blob = Buffer.concat([
+        Buffer.from([0x01, 0x01, 0x00, 0x00]),
+        Buffer.alloc(4),
+        timestamp,
+        clientChallenge,
+        Buffer.alloc(4),
+        challenge.targetInfo,
+        Buffer.alloc(4),
+    ]);
+    const ntProof = hmacMD5(responseKey, challenge.challenge, blob);
+    const ntResponse = Buffer.concat([ntProof, blob]);
+    const lmResponse = Buffer.concat([hmacMD5(responseKey, challenge.challenge, clientChallenge), clientChallenge]);
+
+    const fields = [lmResponse, ntResponse, utf16(domain), utf16(user), utf16(workstation), Buffer.alloc(0)];
+    const header = Buffer.alloc(64);
+    SIGNATURE.copy(header, 0);
+    header.writeUInt32LE(3, 8);
+
+    // Security buffers: length, allocated length, offset
+    let offset = header.length;
+    fields.forEach((field, index) => {
+        const position = 12 + index * 8;
+        header.writeUInt16LE(field.length, position);
+        header.writeUInt16LE(field.length, position + 2);
+        header.writeUInt32LE(offset, position + 4);
+        offset += field.length;
+    });
+    header.writeUInt32LE((challenge.flags & NEGOTIATE_FLAGS) >>> 0, 60);
+
+    return Buffer.concat([header, ...fields]);
+}
@@ -0,0 +1,300 @@
+/**
+ * OAuth2 access token management
+ * Mints access tokens from refresh tokens (Google and Microsoft style endpoints or a custom URL),
+ * caches them until shortly before they expire, and runs the authorization code flow used to
+ * obtain a refresh token in the first place
+ */
+
+import * as crypto from "crypto";
+import * as http from "http";
+
+export const OAUTH2_PROVIDERS = {
+    google: {
+        name: "Google",
+        authorizeUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+        tokenUrl: "https://oauth2.googleapis.com/token",
+        scope: "https://mail.google.com/",
+    },
+    microsoft: {
+        name: "Microsoft",
+        authorizeUrl: "https://login.microsoftonline.com/{tenant}/oauth2/v2.0/authorize",
+        tokenUrl: "https://login.microsoftonline.com/{tenant}/oauth2/v2.0/token",
+        scope: "https://outlook.office.com/SMTP.Send offline_access",
+    },
+};
+
+// SMTP provider names and hosts that map onto an OAuth2 provider
+const PROVIDER_ALIASES = {
+    gmail: "google",
+    google: "google",
+    outlook: "microsoft",
+    office365: "microsoft",
+    hotmail: "microsoft",
+    live: "microsoft",
+    microsoft: "microsoft",
+};
+
+// Refresh this long before the reported expiry to allow for clock skew and slow handshakes
+const EXPIRY_MARGIN = 60 * 1000;
+
+const tokenCache = new Map();
+
+/**
+ * Resolve an OAuth2 provider name from auth.provider, an SMTP provider name or the SMTP host
+ */
+export function resolveOAuth2Provider(name, host = "") {
+    if (name && PROVIDER_ALIASES[name.toLowerCase()]) {
+        return PROVIDER_ALIASES[name.toLowerCase()];
+    }
+    if (/google|gmail/i.test(host)) return "google";
+    if (/outlook|office365|office\.com|hotmail|live\.com/i.test(host)) return "microsoft";
+    return null;
+}
+
+/**
+ * Get the OAuth2 endpoints for the given auth config
+ */
+export function getOAuth2Endpoints(auth, host) {
+    const provider = OAUTH2_PROVIDERS[resolveOAuth2Provider(auth.provider, host)];
+    const tenant = auth.tenant || "common";
+    const expand = (url) => url?.replace("{tenant}", tenant);
+
+    return {
+        authorizeUrl: auth.authorizeUrl || expand(provider?.authorizeUrl),
+        tokenUrl: auth.tokenUrl || expand(provider?.tokenUrl),
+        scope: auth.scope || provider?.scope,
+    };
+}
+
+/**
+ * Whether a new access token can be obtained for this auth config
+ */
+export function canRefreshAccessToken(auth) {
+    return Boolean(auth.tokenProvider || auth.refreshToken);
+}
+
+function getCacheKey(auth, host) {
+    return `${getOAuth2Endpoints(auth, host).tokenUrl || host}:${auth.clientId || ""}:${auth.user}`;
+}
+
+/**
+ * Drop the cached access token, e.g. after the server rejected it
+ */
+export function invalidateAccessToken(auth, host) {
+    tokenCache.delete(getCacheKey(auth, host));
+}
+
+/**
+ * Get a valid access token, minting a new one from the refresh token or tokenProvider when needed
+ *
+ * @param {Object} auth - OAuth2 auth config
+ * @param {Object} options - `host` of the SMTP server and `forceRefresh` to bypass the cache
+ * @returns {Promise<string>} - The access token
+ */
+export async function getAccessToken(auth, { host, forceRefresh = false } = {}) {
+    const key = getCacheKey(auth, host);
+    const cached = tokenCache.get(key);
+
+    if (!forceRefresh && cached && cached.expires - EXPIRY_MARGIN > Date.now()) {
+        return cached.accessToken;
+    }
+
+    // A configured access token is used until it expires or the server rejects it
+    if (!forceRefresh && auth.accessToken && (!auth.expires || auth.expires - EXPIRY_MARGIN > Date.now())) {
+        return auth.accessToken;
+    }
+
+    let token;
+    if (auth.tokenProvider) {
+        token = normalizeToken(await auth.tokenProvider({ user: auth.user, forceRefresh }));
+    } else if (auth.refreshToken) {
+        token = await refreshAccessToken(auth, host);
+    } else {
+        throw new Error("OAuth2 access token is required (or provide refreshToken or tokenProvider)");
+    }
+
+    tokenCache.set(key, token);
+    return token.accessToken;
+}
+
+function normalizeToken(result) {
+    if (typeof result === "string") {
+        // Unknown lifetime: keep it for the margin only so the provider is asked again next time
+        return { accessToken: result, expires: Date.now() + EXPIRY_MARGIN * 2 };
+    }
+    if (!result?.accessToken) {
+        throw new Error("OAuth2 tokenProvider must return an access token");
+    }
+    return {
+        accessToken: result.accessToken,
+        expires: result.expires || Date.now() + (result.expiresIn || 3600) * 1000,
+    };
+}
+
+/**
+ * Exchange the refresh token for a new access token at the token endpoint
+ */
+export async function refreshAccessToken(auth, host) {
+    const { tokenUrl, scope } = getOAuth2Endpoints(auth, host);
+    if (!tokenUrl) {
+        throw new Error("OAuth2 token endpoint unknown - set auth.tokenUrl or auth.provider ('google' or 'microsoft')");
+    }
+
+    const params = new URLSearchParams({
+        grant_type: "refresh_token",
+        refresh_token: auth.refreshToken,
+        client_id: auth.clientId,
+    });
+    if (auth.clientSecret) params.set("client_secret", auth.clientSecret);
+    // Microsoft's v2 endpoint wants the scope repeated; Google rejects unknown scopes
+    if (scope && resolveOAuth2Provider(auth.provider, host) !== "google") params.set("scope", scope);
+
+    const data = await requestToken(tokenUrl, params);
+
+    // Some providers rotate the refresh token on every use
+    if (data.refresh_token) {
+        auth.refreshToken = data.refresh_token;
+    }
+
+    return {
+        accessToken: data.access_token,
+        expires: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+    };
+}
+
+/**
+ * POST a form to a token endpoint and return the parsed JSON response
+ */
+export async function requestToken(tokenUrl, params) {
+    let response;
+    try {
+        response = await fetch(tokenUrl, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/x-www-form-urlencoded",
+                Accept: "application/json",
+            },
+            body: params.toString(),
+        });
+    } catch (error) {
+        throw new Error(`OAuth2 token request failed: ${error.message}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+        const reason = [data.error, data.error_description].filter(Boolean).join(" - ") || response.statusText;
+        throw new Error(`OAuth2 token request failed (${response.status}): ${reason}`);
+    }
+
+    return data;
+}
+
+/**
+ * Create a PKCE code verifier and its S256 challenge (RFC 7636)
+ */
+export function createPkcePair() {
+    const verifier = crypto.randomBytes(32).toString("base64url");
+    const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+    return { verifier, challenge };
+}
+
+/**
+ * Run the authorization code flow with PKCE through a loopback redirect listener.
+ * The caller opens `authorizeUrl` (passed to onAuthorizeUrl) in a browser; the
+ * resulting code is exchanged for tokens.
+ *
+ * @param {Object} auth - provider/tenant/tokenUrl/authorizeUrl/scope, clientId, clientSecret and user
+ * @param {Object} options - `port` to listen on (default: random), `timeout` in ms and `onAuthorizeUrl` callback
+ * @returns {Promise<Object>} - { refreshToken, accessToken, expires }
+ */
+export async function authorizeWithLoopback(auth, { port = 0, timeout = 5 * 60 * 1000, onAuthorizeUrl } = {}) {
+    const { authorizeUrl, tokenUrl, scope } = getOAuth2Endpoints(auth);
+    if (!authorizeUrl || !tokenUrl) {
+        throw new Error("OAuth2 endpoints unknown - use provider 'google' or 'microsoft', or set authorizeUrl and tokenUrl");
+    }
+
+    const pkce = createPkcePair();
+    const state = crypto.randomBytes(16).toString("hex");
+    const server = http.createServer();
+
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", resolve);
+    });
+
+    const redirectUri = `http://127.0.0.1:${server.address().port}/`;
+
+    try {
+        const url = new URL(authorizeUrl);
+        url.search = new URLSearchParams({
+            client_id: auth.clientId,
+            response_type: "code",
+            redirect_uri: redirectUri,
+            scope,
+            state,
+            code_challenge: pkce.challenge,
+            code_challenge_method: "S256",
+            // Ask for a refresh token even if the user consented before
+            access_type: "offline",
+            prompt: "consent",
+            ...(auth.user ? { login_hint: auth.user } : {}),
+        }).toString();
+
+        const code = await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`OAuth2 authorization timed out after ${timeout}ms`));
+            }, timeout);
+
+            server.on("request", (req, res) => {
+                const params = new URL(req.url, redirectUri).searchParams;
+                if (!params.has("code") && !params.has("error")) {
+                    res.writeHead(404).end();
+                    return;
+                }
+
+                const error = params.get("error")
+                    || (params.get("state") !== state ? "state mismatch" : null);
+
+                res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+                res.end(error
+                    ? `<h1>Authorization failed</h1><p>${escapeHtml(error)}</p>`
+                    : "<h1>Senderwolf is authorized</h1><p>You can close this window.</p>");
+
+                clearTimeout(timer);
+                if (error) {
+                    reject(new Error(`OAuth2 authorization failed: ${params.get("error_description") || error}`));
+                } else {
+                    resolve(params.get("code"));
+                }
+            });
+
+            onAuthorizeUrl?.(url.toString());
+        });
+
+        const params = new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: auth.clientId,
+            code_verifier: pkce.verifier,
+        });
+        if (auth.clientSecret) params.set("client_secret", auth.clientSecret);
+
+        const data = await requestToken(tokenUrl, params);
+        if (!data.refresh_token) {
+            throw new Error("OAuth2 provider did not return a refresh token - revoke the app's access and try again");
+        }
+
+        return {
+            refreshToken: data.refresh_token,
+            accessToken: data.access_token,
+            expires: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+        };
+    } finally {
+        server.close();
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
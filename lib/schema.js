@@ -1,24 +1,96 @@
 import { z } from "zod";
+import { Readable } from "stream";
+import { isValidAddress, parseAddressList, flattenAddresses } from "./address.js";
 
-const email = z.string().email();
+// Internationalized addresses (UTF-8 local parts, IDN domains) are accepted too
+const email = z.string().refine(isValidAddress, { message: "Invalid email" });
+
+// Anything written into the header block: a CR or LF would let input inject headers or MIME parts
+const headerValue = z.string().refine((value) => !/[\r\n]/.test(value), {
+    message: "Header values must not contain line breaks (CR or LF)",
+});
+
+// RFC 5322 field names: printable US-ASCII except colon
+const headerName = z.string().regex(/^[\x21-\x39\x3b-\x7e]+$/, {
+    message: "Header names must be printable ASCII without spaces or colons (RFC 5322)",
+});
+
+// A mailbox given as { name, address }
+const addressObject = z.object({
+    name: headerValue.optional(),
+    address: email,
+});
+
+// An RFC 5322 address list, e.g. `"Doe, Jane" <jane@example.com>, Team: a@example.com, b@example.com;`
+const addressListString = (maxAddresses = Infinity) =>
+    headerValue.superRefine((value, ctx) => {
+        const addresses = flattenAddresses(parseAddressList(value));
+        const invalid = addresses.find((entry) => !isValidAddress(entry.address));
+
+        if (invalid?.address.startsWith('"')) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message: `Quoted local parts are not supported: ${invalid.address}`,
+            });
+        } else if (invalid) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message: `Invalid email address "${invalid.address}". Display names containing commas must be quoted, e.g. "Doe, John" <john@example.com>`,
+            });
+        } else if (addresses.length > maxAddresses) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Expected a single email address" });
+        }
+    });
+
+const mailbox = z.union([addressObject, addressListString(1)]);
+const recipients = z.union([addressObject, addressListString(), z.array(z.union([addressObject, addressListString()]))]);
+
+const readableStream = z.custom(
+    (value) => value instanceof Readable || typeof value?.[Symbol.asyncIterator] === "function",
+    { message: "Attachment content must be a Buffer, string or Readable stream" }
+);
 
 // Authentication methods
 const authSchema = z.union([
-    // Basic auth (LOGIN/PLAIN)
+    // Basic auth (LOGIN/PLAIN/CRAM-MD5)
     z.object({
         user: z.string().min(1),
         pass: z.string().min(1),
-        type: z.enum(["login", "plain"]).optional().default("login"),
+        type: z.enum(["login", "plain", "cram-md5"]).optional(), // negotiated from the server's AUTH line when omitted
     }),
-    // OAuth2
+    // NTLM (Exchange and other Windows relays)
     z.object({
-        type: z.literal("oauth2"),
-        user: z.string().email(),
-        clientId: z.string(),
-        clientSecret: z.string(),
-        refreshToken: z.string(),
-        accessToken: z.string().optional(),
+        type: z.literal("ntlm"),
+        user: z.string().min(1), // "user", "user@domain" or "DOMAIN\\user"
+        pass: z.string().min(1),
+        domain: z.string().optional(),
+        workstation: z.string().optional(),
+    }),
+    // SASL EXTERNAL (TLS client certificate; user is the optional authorization identity)
+    z.object({
+        type: z.literal("external"),
+        user: z.string().optional(),
     }),
+    // OAuth2 (access tokens minted from the refresh token or a custom tokenProvider)
+    z
+        .object({
+            type: z.literal("oauth2"),
+            user: z.string().email(),
+            clientId: z.string().optional(),
+            clientSecret: z.string().optional(),
+            refreshToken: z.string().optional(),
+            accessToken: z.string().optional(),
+            expires: z.number().optional(), // accessToken expiry as a ms timestamp
+            provider: z.enum(["google", "microsoft"]).optional(),
+            tenant: z.string().optional(), // Microsoft tenant (default: common)
+            tokenUrl: z.string().url().optional(),
+            scope: z.string().optional(),
+            tokenProvider: z.custom((value) => typeof value === "function").optional(),
+        })
+        .refine((auth) => auth.tokenProvider || auth.accessToken || (auth.clientId && auth.refreshToken), {
+            message: "OAuth2 requires clientId and refreshToken, an accessToken or a tokenProvider",
+            path: ["refreshToken"],
+        }),
     // XOAUTH2 (simplified)
     z.object({
         type: z.literal("xoauth2"),
@@ -27,6 +99,25 @@ const authSchema = z.union([
     }),
 ]);
 
+// STARTTLS policy: upgrade when offered, insist on it, or never upgrade
+const tlsPolicy = z.enum(["opportunistic", "required", "none"]);
+
+const pem = z.union([z.string(), z.instanceof(Buffer)]);
+
+// TLS settings passed to tls.connect for implicit TLS and STARTTLS
+const tlsOptions = z.object({
+    policy: tlsPolicy.optional(),
+    ca: z.union([pem, z.array(pem)]).optional(), // trusted CA certificates (PEM)
+    cert: pem.optional(), // client certificate for mutual TLS
+    key: pem.optional(),
+    passphrase: z.string().optional(),
+    minVersion: z.enum(["TLSv1", "TLSv1.1", "TLSv1.2", "TLSv1.3"]).optional(),
+    ciphers: z.string().optional(),
+    servername: z.string().optional(),
+    // SHA-256 certificate fingerprint(s) to pin, hex with or without colons
+    fingerprint: z.union([z.string(), z.array(z.string())]).optional(),
+});
+
 // SMTP schema with enhanced options
 const smtpSchema = z
     .object({
@@ -35,29 +126,54 @@ const smtpSchema = z
         secure: z.boolean().optional(),
         requireTLS: z.boolean().optional().default(false),
         ignoreTLS: z.boolean().optional().default(false),
+        tls: z.union([tlsPolicy, tlsOptions]).optional(), // policy defaults to "required" with requireTLS, otherwise "opportunistic"
         auth: authSchema,
         connectionTimeout: z.number().optional().default(60000),
         greetingTimeout: z.number().optional().default(30000),
         socketTimeout: z.number().optional().default(60000),
         debug: z.boolean().optional().default(false),
         name: z.string().optional(), // hostname for EHLO
+        usePool: z.boolean().optional(),
+        pool: z
+            .object({
+                maxConnections: z.number().int().positive().optional(),
+                maxMessages: z.number().int().positive().optional(),
+                rateDelta: z.number().positive().optional(),
+                rateLimit: z.number().int().positive().optional(),
+                idleTimeout: z.number().positive().optional(),
+            })
+            .optional(),
+    })
+    .optional();
+
+// Delivery status notification request (RFC 3461), used when the server advertises DSN
+const dsnNotify = z.enum(["NEVER", "SUCCESS", "FAILURE", "DELAY"]);
+const dsnSchema = z
+    .object({
+        notify: z.union([dsnNotify, z.array(dsnNotify).nonempty()]).optional(),
+        ret: z.enum(["HDRS", "FULL"]).optional(),
+        envid: z.string().max(100).optional(),
+    })
+    .refine((dsn) => !dsn.notify?.includes?.("NEVER") || [].concat(dsn.notify).length === 1, {
+        message: "DSN notify 'NEVER' cannot be combined with other values",
+        path: ["notify"],
     })
     .optional();
 
 // Enhanced mail schema
 const mailSchema = z
     .object({
-        from: z.union([email, z.string()]).optional(),
-        to: z.union([email, z.array(email), z.string()]),
-        cc: z.union([email, z.array(email), z.string()]).optional(),
-        bcc: z.union([email, z.array(email), z.string()]).optional(),
-        replyTo: z.union([email, z.string()]).optional(),
-        subject: z.string(),
+        from: mailbox.optional(),
+        to: recipients,
+        cc: recipients.optional(),
+        bcc: recipients.optional(),
+        replyTo: recipients.optional(),
+        subject: headerValue,
         html: z.string().optional(),
         text: z.string().optional(),
-        headers: z.record(z.string()).optional(),
+        headers: z.record(headerName, headerValue).optional(),
         priority: z.enum(["high", "normal", "low"]).optional().default("normal"),
-        fromName: z.string().optional(),
+        fromName: headerValue.optional(),
         fromEmail: email.optional(),
         attachments: z
             .array(
@@ -66,27 +182,39 @@ const mailSchema = z
                     z.object({
                         filename: z.string(),
                         path: z.string(),
-                        contentType: z.string().optional(),
+                        contentType: headerValue.optional(),
+                        cid: headerValue.optional(), // Content-ID for inline images (<img src="cid:...">)
                     }),
-                    // Buffer attachment
+                    // Buffer or string attachment
                     z.object({
                         filename: z.string(),
-                        content: z.any(), // Buffer or string
-                        contentType: z.string().optional(),
-                        encoding: z.string().optional(),
+                        content: z.union([z.string(), z.instanceof(Buffer)]),
+                        contentType: headerValue.optional(),
+                        cid: headerValue.optional(), // Content-ID for inline images (<img src="cid:...">)
+                        encoding: z.string().optional(), // Encoding of string content (utf8, base64, hex...)
                     }),
                     // Stream attachment
                     z.object({
                         filename: z.string(),
-                        content: z.any(), // Stream
-                        contentType: z.string().optional(),
+                        content: readableStream,
+                        contentType: headerValue.optional(),
+                        cid: headerValue.optional(), // Content-ID for inline images (<img src="cid:...">)
                     }),
                 ])
             )
             .optional(),
         encoding: z.string().optional().default("utf8"),
         date: z.date().optional(),
-        messageId: z.string().optional(),
+        messageId: headerValue.optional(),
+        allowPartialDelivery: z.boolean().optional().default(false), // Send to accepted recipients when some are rejected
+        dsn: dsnSchema,
+        // SMTP envelope when it differs from the headers: return-path and actual recipients
+        envelope: z
+            .object({
+                from: z.union([email, z.literal("")]).optional(), // "" sends the null reverse-path <>
+                to: z.union([email, z.array(email).nonempty()]).optional(),
+            })
+            .optional(),
     })
     .refine((data) => data.html || data.text, {
         message: "Either 'html' or 'text' must be provided in mail body.",
@@ -4,6 +4,9 @@ import { loadConfig } from "./config.js";
 import { getProviderConfig, detectProvider } from "./providers.js";
 import { SMTPClient } from "./smtpClient.js";
 import { SMTPConnectionPool } from "./connectionPool.js";
+import { formatAddress } from "./mimeEncoding.js";
+import { parseAddress } from "./address.js";
+import { SMTPError } from "./errors.js";
 
 // Global connection pools for different SMTP configurations
 const connectionPools = new Map();
@@ -33,7 +36,8 @@ function getConnectionPool(smtpConfig) {
  * Supports multiple auth methods, CC/BCC, attachments, provider auto-detection, and connection pooling.
  *
  * @param {Object} input - The input config containing smtp and mail data.
- * @returns {Promise<Object>} - Result with success status and messageId or error.
+ * @returns {Promise<Object>} - Result with success status, messageId and per-recipient accepted/rejected/pending,
+ *   or error (with smtpError for SMTP replies, and accepted/rejected/pending when the envelope failed).
  */
 export async function sendEmail(input = {}) {
     let connection = null;
@@ -63,17 +67,21 @@ export async function sendEmail(input = {}) {
                     : (config.secure ?? providerConfig.secure ?? true),
                 requireTLS: input.smtp?.requireTLS ?? config.requireTLS ?? providerConfig.requireTLS ?? false,
                 ignoreTLS: input.smtp?.ignoreTLS ?? config.ignoreTLS ?? false,
+                tls: input.smtp?.tls ?? config.tls,
                 connectionTimeout: input.smtp?.connectionTimeout || config.connectionTimeout || 60000,
                 greetingTimeout: input.smtp?.greetingTimeout || config.greetingTimeout || 30000,
                 socketTimeout: input.smtp?.socketTimeout || config.socketTimeout || 60000,
                 debug: input.smtp?.debug ?? config.debug ?? false,
                 name: input.smtp?.name || config.name || os.hostname(),
                 pool: input.smtp?.pool || config.pool || {},
-                usePool: input.smtp?.usePool ?? config.usePool ?? true,
+                // Pooling is opt-in for one-off sends; createMailer turns it on
+                usePool: input.smtp?.usePool ?? config.usePool ?? false,
                 auth: {
                     user: input.smtp?.auth?.user || config.user,
                     pass: input.smtp?.auth?.pass || config.pass,
-                    type: input.smtp?.auth?.type || config.authType || "login",
+                    type: input.smtp?.auth?.type || config.authType,
+                    // OAuth2 client and refresh token saved by `senderwolf auth`
+                    ...((input.smtp?.auth?.type || config.authType) === "oauth2" ? config.oauth2 : {}),
                     ...input.smtp?.auth,
                 },
             },
@@ -94,14 +102,20 @@ export async function sendEmail(input = {}) {
                 encoding: input.mail?.encoding || "utf8",
                 date: input.mail?.date,
                 messageId: input.mail?.messageId,
+                allowPartialDelivery: input.mail?.allowPartialDelivery ?? false,
+                dsn: input.mail?.dsn,
+                envelope: input.mail?.envelope,
             },
         };
 
         const { smtp, mail } = validateInput(merged);
 
+        // `from` may carry its own display name ("Name <address>" or { name, address })
+        const sender = parseAddress(mail.from) ?? { name: "", address: mail.fromEmail };
+
         const mailOptions = {
-            from: mail.from || mail.fromEmail,
-            fromHeader: mail.fromName ? `"${mail.fromName}" <${mail.fromEmail}>` : mail.fromEmail,
+            from: sender.address,
+            fromHeader: formatAddress(sender.name || mail.fromName, sender.address),
             to: mail.to,
             cc: mail.cc,
             bcc: mail.bcc,
@@ -115,29 +129,42 @@ export async function sendEmail(input = {}) {
             encoding: mail.encoding,
             date: mail.date,
             messageId: mail.messageId,
+            allowPartialDelivery: mail.allowPartialDelivery,
+            dsn: mail.dsn,
+            envelope: mail.envelope,
         };
 
-        let messageId;
+        let info;
 
         if (smtp.usePool) {
             // Use connection pooling
             pool = getConnectionPool(smtp);
             connection = await pool.getConnection(smtp);
-            messageId = await connection.sendMail(mailOptions);
+            info = await connection.sendMail(mailOptions);
             pool.releaseConnection(connection);
         } else {
             // Use direct connection (legacy behavior)
             const client = new SMTPClient(smtp);
-            await client.connect();
-            await client.readResponse();
-            await client.authenticate();
-            messageId = await client.sendMail(mailOptions);
-            await client.quit();
+            try {
+                await client.connect();
+                await client.readResponse();
+                await client.authenticate();
+                info = await client.sendMail(mailOptions);
+            } finally {
+                // Also on failure, or the open session keeps the process alive
+                await client.quit();
+            }
         }
 
         return {
             success: true,
-            messageId: messageId,
+            messageId: info.messageId,
+            // Message size in bytes (null when a stream attachment made it unknown)
+            size: info.size,
+            // Per-recipient RCPT TO replies: { address, response }
+            accepted: info.accepted,
+            rejected: info.rejected,
+            pending: info.pending,
         };
     } catch (error) {
         if (connection && pool) {
@@ -146,6 +173,10 @@ export async function sendEmail(input = {}) {
         return {
             success: false,
             error: error.message || "Unknown error while sending email",
+            // Reply code, enhanced status and transient/permanent classification for SMTP failures
+            ...(error instanceof SMTPError ? { smtpError: error } : {}),
+            // RCPT TO replies gathered before the transaction failed
+            ...(error.recipients ? { ...error.recipients } : {}),
         };
     }
 }
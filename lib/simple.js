@@ -6,6 +6,7 @@
 import { sendEmail } from './sendEmail.js';
 import { listProviders } from './providers.js';
 import { TemplateManager } from './templates.js';
+import { formatVerpAddress, parseAddress } from './address.js';
 
 /**
  * Create a reusable mailer instance with preset configuration
@@ -18,6 +19,18 @@ export function createMailer(config = {}) {
             ...config.smtp
         },
         defaults: config.defaults || {},
+        verp: config.verp,
+    };
+
+    /**
+     * Per-recipient return-path for bulk sends when a VERP pattern is configured
+     */
+    const withVerp = (recipient, { verp = defaultConfig.verp, ...options }) => {
+        if (!verp) {
+            return options;
+        }
+        const { address } = parseAddress(recipient) ?? { address: String(recipient).trim() };
+        return { ...options, envelope: { ...options.envelope, from: formatVerpAddress(verp, address) } };
     };
 
     return {
@@ -112,7 +125,7 @@ export function createMailer(config = {}) {
                         subject: rendered.subject,
                         html: rendered.html,
                         text: rendered.text,
-                        ...options,
+                        ...withVerp(recipient, options),
                     });
                     return { recipient, success: true, messageId: result.messageId };
                 } catch (error) {
@@ -147,7 +160,7 @@ export function createMailer(config = {}) {
                         ...(typeof content === 'string' && content.includes('<')
                             ? { html: content }
                             : { text: content }),
-                        ...options,
+                        ...withVerp(recipient, options),
                     });
                     return { recipient, success: true, messageId: result.messageId };
                 } catch (error) {
@@ -4,9 +4,36 @@
 
 import * as tls from "tls";
 import * as net from "net";
-import * as fs from "fs";
-import * as path from "path";
 import * as os from "os";
+import * as crypto from "crypto";
+import { once } from "events";
+import { pipeline } from "stream/promises";
+import { MimeMessage } from "./mimeBuilder.js";
+import { DotStuffingStream } from "./dotStuffing.js";
+import { SMTPError } from "./errors.js";
+import { toASCIIAddress, normalizeAddress, requiresSMTPUTF8, parseAddress, toAddressList, flattenAddresses } from "./address.js";
+import { getAccessToken, canRefreshAccessToken, invalidateAccessToken } from "./oauth2.js";
+import { createNegotiateMessage, parseChallengeMessage, createAuthenticateMessage, parseNtlmUser } from "./ntlm.js";
+
+// SASL mechanisms that satisfy each configured auth.type, in order of preference
+const AUTH_TYPE_MECHANISMS = {
+    login: ['LOGIN'],
+    plain: ['PLAIN'],
+    'cram-md5': ['CRAM-MD5'],
+    ntlm: ['NTLM'],
+    oauth2: ['OAUTHBEARER', 'XOAUTH2'],
+    xoauth2: ['XOAUTH2'],
+    external: ['EXTERNAL'],
+};
+
+// Preference order when auth.type is omitted. Challenge-response mechanisms come first on
+// unencrypted connections so the password never crosses the wire in the clear.
+const PASSWORD_MECHANISMS = ['PLAIN', 'LOGIN', 'CRAM-MD5', 'NTLM'];
+const PLAINTEXT_PASSWORD_MECHANISMS = ['CRAM-MD5', 'NTLM', 'PLAIN', 'LOGIN'];
+const TOKEN_MECHANISMS = ['OAUTHBEARER', 'XOAUTH2'];
+
+// BDAT chunk size: large enough that the round trip per chunk is negligible
+const BDAT_CHUNK_SIZE = 1024 * 1024;
 
 export class SMTPClient {
     constructor(config) {
@@ -15,6 +42,18 @@ export class SMTPClient {
         this.secure = config.secure;
         this.requireTLS = config.requireTLS || false;
         this.ignoreTLS = config.ignoreTLS || false;
+        // `tls` is either the STARTTLS policy or an object with the policy and options for tls.connect
+        const { policy, fingerprint, ...tlsOptions } = typeof config.tls === "string" ? { policy: config.tls } : config.tls || {};
+        // STARTTLS policy: "opportunistic" upgrades whenever offered, "required" fails without it, "none" never upgrades.
+        // Pinning, a private CA or a client certificate only mean something over TLS, so they make it required.
+        const tlsConfigured = Boolean(fingerprint || tlsOptions.ca || tlsOptions.cert);
+        if (tlsConfigured && policy === "none") {
+            throw new Error("tls.fingerprint, tls.ca and tls.cert cannot be used with the \"none\" TLS policy");
+        }
+        this.tlsPolicy = tlsConfigured ? "required" : policy || (this.requireTLS ? "required" : "opportunistic");
+        this.tlsOptions = tlsOptions;
+        // Pinned SHA-256 certificate fingerprints, compared without colons
+        this.fingerprints = [].concat(fingerprint || []).map((value) => value.replace(/:/g, "").toUpperCase());
         this.auth = config.auth;
         this.connectionTimeout = config.connectionTimeout || 60000;
         this.greetingTimeout = config.greetingTimeout || 30000;
@@ -24,6 +63,9 @@ export class SMTPClient {
         this.socket = null;
         this.buffer = "";
         this.capabilities = new Set();
+        this.capabilityParams = new Map();
+        this.authMechanisms = new Set();
+        this.authenticating = null;
     }
 
     async connect() {
@@ -36,14 +78,25 @@ export class SMTPClient {
             const onConnect = () => {
                 clearTimeout(timeout);
                 this.socket.removeListener("error", onError);
+                try {
+                    if (this.secure) this.verifyFingerprint(this.socket);
+                } catch (err) {
+                    this.socket.destroy();
+                    reject(err);
+                    return;
+                }
                 this.socket.setTimeout(this.socketTimeout);
+                this.watchSocket(this.socket);
                 if (this.debug) console.log(`Connected to ${this.host}:${this.port}`);
                 resolve();
             };
 
+            // Implicit TLS is only usable (and its certificate known) once the handshake completes
+            const connectEvent = this.secure ? "secureConnect" : "connect";
+
             const onError = (err) => {
                 clearTimeout(timeout);
-                this.socket?.removeListener("connect", onConnect);
+                this.socket?.removeListener(connectEvent, onConnect);
                 reject(new Error(`Connection failed: ${err.message}`));
             };
 
@@ -51,49 +104,46 @@ export class SMTPClient {
                 this.socket = tls.connect({
                     host: this.host,
                     port: this.port,
-                    servername: this.host,
-                    rejectUnauthorized: !this.ignoreTLS
+                    ...this.getTLSOptions(),
                 });
             } else {
                 this.socket = net.connect({ host: this.host, port: this.port });
             }
 
-            this.socket.once("connect", onConnect);
+            this.socket.once(connectEvent, onConnect);
             this.socket.once("error", onError);
             this.socket.setEncoding("utf8");
         });
     }
 
-    async readResponse() {
-        return new Promise((resolve, reject) => {
-            const onData = (chunk) => {
-                this.buffer += chunk;
-                const lines = this.buffer.split("\r\n");
-
-                for (let i = 0; i < lines.length - 1; i++) {
-                    const line = lines[i];
-                    if (line.length >= 3 && line[3] === " ") {
-                        this.buffer = lines.slice(i + 1).join("\r\n");
-                        this.socket.removeListener("data", onData);
-                        this.socket.removeListener("error", onError);
-                        resolve(line);
-                        return;
-                    }
-                }
-            };
-
-            const onError = (err) => {
-                this.socket.removeListener("data", onData);
-                reject(err);
-            };
-
-            this.socket.on("data", onData);
-            this.socket.once("error", onError);
+    /**
+     * Keep socket errors between replies (e.g. the server resetting an idle session) from going
+     * unhandled, and mark the client closed once its socket is gone. Errors while a reply is
+     * awaited still reach readResponse.
+     */
+    watchSocket(socket) {
+        socket.on("error", (err) => {
+            if (this.debug) console.log(`Socket error: ${err.message}`);
+        });
+        socket.once("close", () => {
+            if (this.socket === socket) this.socket = null;
         });
     }
 
+    /**
+     * Read a complete (possibly multi-line) reply. All lines are returned joined by "\n".
+     */
+    async readResponse() {
+        return this.readMultiLineResponse();
+    }
+
     async readMultiLineResponse() {
         return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error("Connection closed"));
+                return;
+            }
+
             const responseLines = [];
 
             const onData = (chunk) => {
@@ -105,44 +155,66 @@ export class SMTPClient {
                     if (line.length >= 3) {
                         responseLines.push(line);
 
-                        // Check if this is the final line (space after code)
-                        if (line[3] === " ") {
+                        // Check if this is the final line (space or nothing after code)
+                        if (line.length === 3 || line[3] === " ") {
                             this.buffer = lines.slice(i + 1).join("\r\n");
                             this.socket.removeListener("data", onData);
                             this.socket.removeListener("error", onError);
+                            this.socket.removeListener("close", onClose);
                             resolve(responseLines.join("\n"));
                             return;
                         }
                     }
                 }
+
+                // Keep only the incomplete trailing line for the next chunk
+                this.buffer = lines[lines.length - 1];
             };
 
             const onError = (err) => {
-                this.socket.removeListener("data", onData);
+                this.socket?.removeListener("data", onData);
+                this.socket?.removeListener("close", onClose);
                 reject(err);
             };
 
+            // Without this a reply the server will never send would be awaited forever
+            const onClose = () => {
+                this.socket?.removeListener("data", onData);
+                this.socket?.removeListener("error", onError);
+                reject(new Error("Connection closed"));
+            };
+
             this.socket.on("data", onData);
             this.socket.once("error", onError);
+            this.socket.once("close", onClose);
+
+            // Pipelined replies may already be waiting in the buffer
+            if (this.buffer) onData("");
         });
     }
 
     async sendCommand(command, expectCode = "250") {
+        if (!this.socket) {
+            throw new Error("Connection closed");
+        }
         this.socket.write(command + "\r\n");
         const response = await this.readResponse();
         if (!response.startsWith(expectCode)) {
-            throw new Error(`SMTP Error: ${response}`);
+            throw this.createError(`SMTP Error: ${response}`, response, command);
         }
         return response;
     }
 
     async sendEhloCommand(command, expectCode = "250") {
-        this.socket.write(command + "\r\n");
-        const response = await this.readMultiLineResponse();
-        if (!response.startsWith(expectCode)) {
-            throw new Error(`SMTP Error: ${response}`);
-        }
-        return response;
+        return this.sendCommand(command, expectCode);
+    }
+
+    /**
+     * Build an SMTPError for a rejected command, keeping credentials out of it
+     */
+    createError(message, response, command) {
+        const safeCommand = this.authenticating ? `AUTH ${this.authenticating}` : command;
+        return new SMTPError(message, { response, command: safeCommand });
     }
 
     async authenticate() {
@@ -150,60 +222,180 @@ export class SMTPClient {
         const ehloResponse = await this.sendEhloCommand("EHLO " + this.name);
         this.parseCapabilities(ehloResponse);
 
-        // Handle STARTTLS if required
-        if (this.requireTLS && !this.secure && this.capabilities.has('STARTTLS')) {
-            await this.sendCommand("STARTTLS", "220");
-            await this.upgradeToTLS();
-            // Re-send EHLO after STARTTLS
-            const newEhloResponse = await this.sendEhloCommand("EHLO " + this.name);
-            this.parseCapabilities(newEhloResponse);
-        }
+        await this.negotiateTLS();
+
+        const mechanism = this.selectAuthMechanism();
+        if (this.debug) console.log(`Authenticating with ${mechanism}`);
 
-        // Authenticate based on auth type
-        const authType = this.auth.type || 'login';
+        this.authenticating = mechanism;
+        try {
+            await this.authWith(mechanism);
+        } finally {
+            this.authenticating = null;
+        }
+    }
 
-        switch (authType.toLowerCase()) {
-            case 'login':
+    async authWith(mechanism) {
+        switch (mechanism) {
+            case 'LOGIN':
                 await this.authLogin();
                 break;
-            case 'plain':
+            case 'PLAIN':
                 await this.authPlain();
                 break;
-            case 'oauth2':
+            case 'CRAM-MD5':
+                await this.authCramMD5();
+                break;
+            case 'NTLM':
+                await this.authNTLM();
+                break;
+            case 'OAUTHBEARER':
                 await this.authOAuth2();
                 break;
-            case 'xoauth2':
+            case 'XOAUTH2':
                 await this.authXOAuth2();
                 break;
-            default:
+            case 'EXTERNAL':
+                await this.authExternal();
+                break;
+        }
+    }
+
+    /**
+     * Pick the SASL mechanism to use: the one matching auth.type, or when the type is
+     * omitted the most preferred mechanism that both the server and the credentials support
+     */
+    selectAuthMechanism() {
+        const authType = this.auth.type?.toLowerCase();
+
+        if (authType) {
+            const candidates = AUTH_TYPE_MECHANISMS[authType];
+            if (!candidates) {
                 throw new Error(`Unsupported authentication method: ${authType}`);
+            }
+
+            const mechanism = candidates.find((candidate) => this.authMechanisms.has(candidate));
+            if (!mechanism) {
+                throw new Error(
+                    `Server does not support ${candidates.join("/")} authentication (server offers: ${this.describeAuthMechanisms()})`
+                );
+            }
+            return mechanism;
+        }
+
+        const preference = !this.auth.pass
+            ? TOKEN_MECHANISMS
+            : (this.socket?.encrypted ? PASSWORD_MECHANISMS : PLAINTEXT_PASSWORD_MECHANISMS);
+        const mechanism = preference.find((candidate) => this.authMechanisms.has(candidate));
+        if (!mechanism) {
+            throw new Error(
+                `No supported authentication mechanism (server offers: ${this.describeAuthMechanisms()}; ` +
+                `senderwolf can use: ${preference.join(", ")})`
+            );
         }
+        return mechanism;
+    }
+
+    describeAuthMechanisms() {
+        return this.authMechanisms.size > 0 ? Array.from(this.authMechanisms).join(", ") : "none";
     }
 
     parseCapabilities(ehloResponse) {
-        // Parse EHLO response to extract server capabilities
+        // Capabilities from a previous EHLO (e.g. before STARTTLS) are no longer valid
+        this.capabilities = new Set();
+        this.capabilityParams = new Map();
+        this.authMechanisms = new Set();
+
+        // Parse EHLO response to extract server capabilities and their parameters
         const lines = ehloResponse.split('\n');
-        for (const line of lines) {
+        for (const line of lines.slice(1)) {
             const trimmed = line.trim();
             if (trimmed.startsWith('250-') || trimmed.startsWith('250 ')) {
-                const capability = trimmed.substring(4).split(' ')[0];
-                this.capabilities.add(capability.toUpperCase());
+                // Older servers advertise "AUTH=LOGIN PLAIN"
+                const [keyword, ...params] = trimmed.substring(4).trim().split(/[\s=]+/);
+                const capability = keyword.toUpperCase();
+
+                this.capabilities.add(capability);
+                this.capabilityParams.set(capability, params);
+
+                if (capability === 'AUTH') {
+                    params.forEach((param) => this.authMechanisms.add(param.toUpperCase()));
+                }
             }
         }
-        if (this.debug) console.log('Server capabilities:', Array.from(this.capabilities));
+        if (this.debug) {
+            console.log('Server capabilities:', Array.from(this.capabilities));
+            console.log('Server AUTH mechanisms:', Array.from(this.authMechanisms));
+        }
+    }
+
+    /**
+     * Upgrade the session with STARTTLS according to the TLS policy
+     */
+    async negotiateTLS() {
+        if (this.secure || this.tlsPolicy === "none") {
+            return;
+        }
+
+        if (!this.capabilities.has('STARTTLS')) {
+            if (this.tlsPolicy === "required") {
+                throw new Error(`Server ${this.host} does not offer STARTTLS but TLS is required`);
+            }
+            if (this.debug) console.log('Server does not offer STARTTLS, continuing without TLS');
+            return;
+        }
+
+        await this.sendCommand("STARTTLS", "220");
+        await this.upgradeToTLS();
+        // Re-send EHLO after STARTTLS
+        const ehloResponse = await this.sendEhloCommand("EHLO " + this.name);
+        this.parseCapabilities(ehloResponse);
+    }
+
+    /**
+     * Options for tls.connect: certificate verification, SNI and the user's `tls` settings
+     */
+    getTLSOptions() {
+        return {
+            // SNI only carries host names, not IP addresses
+            servername: net.isIP(this.host) ? undefined : this.host,
+            rejectUnauthorized: !this.ignoreTLS,
+            ...this.tlsOptions,
+        };
+    }
+
+    /**
+     * Check the server certificate against the pinned SHA-256 fingerprints
+     */
+    verifyFingerprint(socket) {
+        if (this.fingerprints.length === 0) {
+            return;
+        }
+
+        const actual = socket.getPeerCertificate()?.fingerprint256?.replace(/:/g, "").toUpperCase();
+        if (!actual || !this.fingerprints.includes(actual)) {
+            throw new Error(`TLS certificate fingerprint mismatch for ${this.host} (got SHA-256 ${actual || "none"})`);
+        }
     }
 
     async upgradeToTLS() {
         return new Promise((resolve, reject) => {
             const secureSocket = tls.connect({
                 socket: this.socket,
-                servername: this.host,
-                rejectUnauthorized: !this.ignoreTLS
+                ...this.getTLSOptions(),
             });
 
             secureSocket.once('secureConnect', () => {
+                try {
+                    this.verifyFingerprint(secureSocket);
+                } catch (err) {
+                    secureSocket.destroy();
+                    reject(err);
+                    return;
+                }
                 this.socket = secureSocket;
                 this.socket.setEncoding("utf8");
+                this.watchSocket(secureSocket);
                 if (this.debug) console.log('Upgraded to TLS');
                 resolve();
             });
@@ -213,178 +405,482 @@ export class SMTPClient {
     }
 
     async authLogin() {
-        if (!this.capabilities.has('AUTH') && !this.capabilities.has('LOGIN')) {
-            throw new Error('Server does not support LOGIN authentication');
-        }
-
         await this.sendCommand("AUTH LOGIN", "334");
         await this.sendCommand(Buffer.from(this.auth.user).toString("base64"), "334");
         await this.sendCommand(Buffer.from(this.auth.pass).toString("base64"), "235");
     }
 
-    async authPlain() {
-        if (!this.capabilities.has('AUTH') && !this.capabilities.has('PLAIN')) {
-            throw new Error('Server does not support PLAIN authentication');
+    /**
+     * SASL EXTERNAL (RFC 4422): the TLS client certificate is the credential. auth.user, when set,
+     * is sent as the authorization identity.
+     */
+    async authExternal() {
+        if (!this.socket?.encrypted || !this.tlsOptions.cert) {
+            throw new Error("SASL EXTERNAL authentication requires a TLS connection with a client certificate (tls.cert and tls.key)");
         }
 
+        const authzid = this.auth.user ? Buffer.from(this.auth.user).toString("base64") : "=";
+        await this.sendCommand(`AUTH EXTERNAL ${authzid}`, "235");
+    }
+
+    async authPlain() {
         const authString = Buffer.from(`\0${this.auth.user}\0${this.auth.pass}`).toString('base64');
         await this.sendCommand(`AUTH PLAIN ${authString}`, "235");
     }
 
-    async authOAuth2() {
-        // Simplified OAuth2 implementation
-        if (!this.auth.accessToken) {
-            throw new Error('OAuth2 access token is required');
-        }
+    async authCramMD5() {
+        const response = await this.sendCommand("AUTH CRAM-MD5", "334");
+        const challenge = Buffer.from(response.substring(4).trim(), "base64");
+        const digest = crypto.createHmac("md5", this.auth.pass).update(challenge).digest("hex");
+        await this.sendCommand(Buffer.from(`${this.auth.user} ${digest}`).toString("base64"), "235");
+    }
 
-        const authString = `user=${this.auth.user}\x01auth=Bearer ${this.auth.accessToken}\x01\x01`;
-        const base64Auth = Buffer.from(authString).toString('base64');
-        await this.sendCommand(`AUTH OAUTHBEARER ${base64Auth}`, "235");
+    async authNTLM() {
+        const { user, domain } = parseNtlmUser(this.auth.user, this.auth.domain);
+        const negotiate = createNegotiateMessage().toString("base64");
+
+        const response = await this.sendCommand(`AUTH NTLM ${negotiate}`, "334");
+        const challenge = parseChallengeMessage(Buffer.from(response.substring(4).trim(), "base64"));
+        const authenticate = createAuthenticateMessage(challenge, {
+            user,
+            pass: this.auth.pass,
+            domain,
+            workstation: this.auth.workstation || this.name,
+        });
+
+        await this.sendCommand(authenticate.toString("base64"), "235");
+    }
+
+    async authOAuth2() {
+        await this.authBearer('OAUTHBEARER');
     }
 
     async authXOAuth2() {
-        if (!this.auth.accessToken) {
-            throw new Error('XOAUTH2 access token is required');
+        await this.authBearer('XOAUTH2');
+    }
+
+    /**
+     * Authenticate with an OAuth2 bearer token. If the server rejects a cached or configured
+     * token and new ones can be minted, a fresh token is requested and tried once more.
+     */
+    async authBearer(mechanism) {
+        const token = await getAccessToken(this.auth, { host: this.host });
+
+        try {
+            await this.sendBearerToken(mechanism, token);
+        } catch (error) {
+            if (!canRefreshAccessToken(this.auth)) {
+                throw error;
+            }
+
+            if (this.debug) console.log('OAuth2 token rejected, requesting a new one');
+            invalidateAccessToken(this.auth, this.host);
+            const freshToken = await getAccessToken(this.auth, { host: this.host, forceRefresh: true });
+            await this.sendBearerToken(mechanism, freshToken);
         }
+    }
+
+    async sendBearerToken(mechanism, token) {
+        const authString = mechanism === 'OAUTHBEARER'
+            // RFC 7628 GS2 header followed by the bearer token
+            ? `n,a=${this.auth.user},\x01auth=Bearer ${token}\x01\x01`
+            : `user=${this.auth.user}\x01auth=Bearer ${token}\x01\x01`;
+
+        this.socket.write(`AUTH ${mechanism} ${Buffer.from(authString).toString('base64')}\r\n`);
+        let response = await this.readResponse();
 
-        const authString = `user=${this.auth.user}\x01auth=Bearer ${this.auth.accessToken}\x01\x01`;
-        const base64Auth = Buffer.from(authString).toString('base64');
-        await this.sendCommand(`AUTH XOAUTH2 ${base64Auth}`, "235");
+        if (response.startsWith("334")) {
+            // Error details arrive as a challenge; an empty reply completes the exchange
+            this.socket.write("\r\n");
+            response = await this.readResponse();
+        }
+
+        if (!response.startsWith("235")) {
+            throw this.createError(`SMTP Error: ${response}`, response);
+        }
     }
 
+    /**
+     * Send a message. Each RCPT TO reply is recorded per address; with `allowPartialDelivery`
+     * the message goes to the accepted recipients instead of failing on the first rejection.
+     *
+     * @returns {Promise<Object>} - { messageId, response, size, accepted, rejected, pending }
+     */
     async sendMail(mailOptions) {
-        await this.sendCommand(`MAIL FROM:<${mailOptions.from}>`);
+        if (!this.socket) {
+            throw new Error("Connection is closed");
+        }
 
-        // Collect all recipients (TO, CC, BCC)
-        const allRecipients = [];
+        const { from, to: addresses, originalRecipients } = this.getEnvelope(mailOptions);
+        // Header addresses count too: a UTF-8 local part in Reply-To (or in To/Cc when `envelope`
+        // overrides the recipients) can't be written into the header block without SMTPUTF8
+        const headerAddresses = flattenAddresses(
+            toAddressList([mailOptions.from, mailOptions.to, mailOptions.cc, mailOptions.replyTo])
+        ).map((entry) => entry.address);
+        const smtputf8 = this.checkSMTPUTF8([from, ...addresses, ...headerAddresses]);
+
+        const message = new MimeMessage(mailOptions, { hostname: this.host, allow8bit: smtputf8 });
+        const size = await message.getSize();
+        this.checkSize(size);
+
+        const { dataAccepted, ...recipients } = await this.sendEnvelope(mailOptions, addresses, {
+            from,
+            originalRecipients,
+            size,
+            smtputf8,
+            eightBit: message.is8Bit(),
+        });
 
-        // Add TO recipients
-        const toRecipients = Array.isArray(mailOptions.to) ? mailOptions.to : [mailOptions.to];
-        allRecipients.push(...toRecipients);
+        if (this.capabilities.has("CHUNKING")) {
+            const response = await this.sendChunked(message.createReadStream());
+            return { messageId: message.messageId, response, size, ...recipients };
+        }
 
-        // Add CC recipients
-        if (mailOptions.cc) {
-            const ccRecipients = Array.isArray(mailOptions.cc) ? mailOptions.cc : [mailOptions.cc];
-            allRecipients.push(...ccRecipients);
+        if (!dataAccepted) {
+            await this.sendCommand("DATA", "354");
         }
 
-        // Add BCC recipients
-        if (mailOptions.bcc) {
-            const bccRecipients = Array.isArray(mailOptions.bcc) ? mailOptions.bcc : [mailOptions.bcc];
-            allRecipients.push(...bccRecipients);
+        try {
+            // Dot-stuffing also appends the terminating "<CRLF>.<CRLF>"
+            await pipeline(message.createReadStream(), new DotStuffingStream(), (body) => this.writeStream(body));
+        } catch (error) {
+            // A half-written message can't be cancelled; whatever is sent next would become part of it
+            this.destroy();
+            throw error;
         }
 
-        // Send RCPT TO for all recipients
-        for (const recipient of allRecipients) {
-            const email = this.extractEmail(recipient.trim());
-            await this.sendCommand(`RCPT TO:<${email}>`);
+        const response = await this.readResponse();
+        if (!response.startsWith("250")) {
+            throw this.createError(`Failed to send email: ${response}`, response, "DATA");
         }
 
-        await this.sendCommand("DATA", "354");
+        return { messageId: message.messageId, response, size, ...recipients };
+    }
 
-        const messageId = mailOptions.messageId || `<${Date.now()}.${Math.random().toString(36).substr(2, 9)}@${this.host}>`;
-        const boundary = `----=_Part_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    /**
+     * Message size limit advertised with the SIZE extension (RFC 1870), 0 when there is none
+     */
+    getSizeLimit() {
+        const [limit] = this.capabilityParams.get("SIZE") || [];
+        return Number(limit) || 0;
+    }
 
-        let message = `From: ${mailOptions.fromHeader}\r\n`;
-        message += `To: ${toRecipients.join(", ")}\r\n`;
+    /**
+     * Reject a message the server has announced it will not accept, before uploading it
+     */
+    checkSize(size) {
+        const limit = this.getSizeLimit();
+        if (size !== null && limit > 0 && size > limit) {
+            throw new Error(`Message size of ${size} bytes exceeds the server limit of ${limit} bytes (SIZE ${limit})`);
+        }
+    }
 
-        // Add CC header (but not BCC for privacy)
-        if (mailOptions.cc) {
-            const ccRecipients = Array.isArray(mailOptions.cc) ? mailOptions.cc : [mailOptions.cc];
-            message += `Cc: ${ccRecipients.join(", ")}\r\n`;
+    /**
+     * Whether the envelope or headers need SMTPUTF8 (RFC 6531), failing when the server cannot carry it
+     */
+    checkSMTPUTF8(addresses) {
+        const address = addresses.find(requiresSMTPUTF8);
+        if (!address) {
+            return false;
+        }
+        if (!this.capabilities.has("SMTPUTF8")) {
+            throw new Error(`Server does not support SMTPUTF8, which is required for the address ${address}`);
         }
+        return true;
+    }
 
-        // Add Reply-To if specified
-        if (mailOptions.replyTo) {
-            message += `Reply-To: ${mailOptions.replyTo}\r\n`;
+    /**
+     * Envelope sender and recipients: `mailOptions.envelope` when given, otherwise From and
+     * TO, CC and BCC. Internationalized domains are converted to punycode, and recipients are
+     * normalized and deduplicated so an address listed twice gets a single RCPT TO.
+     * `originalRecipients` maps each normalized recipient to the address as it was given.
+     */
+    getEnvelope(mailOptions) {
+        const { envelope = {} } = mailOptions;
+        const to = envelope.to ?? [mailOptions.to, mailOptions.cc, mailOptions.bcc];
+        const from = envelope.from ?? mailOptions.from;
+
+        const originalRecipients = new Map();
+        for (const { address } of flattenAddresses(toAddressList(to))) {
+            const normalized = normalizeAddress(address);
+            if (!originalRecipients.has(normalized)) originalRecipients.set(normalized, address.trim());
         }
 
-        message += `Subject: ${mailOptions.subject}\r\n`;
-        message += `Message-ID: ${messageId}\r\n`;
-        message += `Date: ${mailOptions.date ? mailOptions.date.toUTCString() : new Date().toUTCString()}\r\n`;
+        return {
+            // An empty envelope sender is the null reverse-path "<>"
+            from: from === "" ? "" : toASCIIAddress(parseAddress(from)?.address ?? ""),
+            to: [...originalRecipients.keys()],
+            originalRecipients,
+        };
+    }
+
+    /**
+     * Send MAIL FROM and RCPT TO for every address, sorting the replies into accepted,
+     * rejected (5xx) and pending (4xx, worth retrying later).
+     *
+     * When the server advertises PIPELINING the envelope goes out in a single write. DATA joins
+     * the batch only with partial delivery: otherwise a rejected recipient has to abort the
+     * transaction, which is no longer possible once DATA has been accepted.
+     *
+     * @returns {Promise<Object>} - { accepted, rejected, pending, dataAccepted }
+     */
+    async sendEnvelope(mailOptions, addresses, { from, originalRecipients = new Map(), ...parameters } = {}) {
+        const { allowPartialDelivery = false } = mailOptions;
+        const pipelining = this.capabilities.has("PIPELINING");
+        // With CHUNKING the message follows in BDAT commands instead of DATA
+        const withData = pipelining && allowPartialDelivery && !this.capabilities.has("CHUNKING");
+
+        const commands = [
+            this.formatCommand(`MAIL FROM:<${from}>`, this.getMailParameters(mailOptions, parameters)),
+            ...addresses.map((address) => this.formatCommand(
+                `RCPT TO:<${address}>`,
+                this.getRecipientParameters(address, mailOptions, originalRecipients.get(address))
+            )),
+        ];
+        if (withData) commands.push("DATA");
+
+        const recipients = { accepted: [], rejected: [], pending: [] };
+        let failure = null;
+        let lastRejection = null;
+        let dataResponse = null;
+
+        for await (const { command, response, index } of this.sendCommands(commands, pipelining)) {
+            if (index > addresses.length) {
+                dataResponse = response;
+            } else if (failure) {
+                // Pipelined commands after the failure are answered but no longer matter
+            } else if (index === 0) {
+                if (!response.startsWith("250")) {
+                    failure = this.createError(`SMTP Error: ${response}`, response, command);
+                }
+            } else if (response.startsWith("25")) {
+                // 251/252: accepted but forwarded or not verified
+                recipients.accepted.push({ address: addresses[index - 1], response });
+            } else {
+                lastRejection = this.createError(`SMTP Error: ${response}`, response, command);
+                (lastRejection.transient ? recipients.pending : recipients.rejected)
+                    .push({ address: addresses[index - 1], response });
+
+                if (!allowPartialDelivery) {
+                    failure = lastRejection;
+                }
+            }
+
+            // Without pipelining, stop sending commands once the transaction has failed
+            if (failure && !pipelining) break;
+        }
+
+        if (!failure && recipients.accepted.length === 0) {
+            failure = this.createError(
+                `No recipients were accepted: ${lastRejection?.response}`,
+                lastRejection?.response,
+                lastRejection?.command
+            );
+        }
 
-        // Add priority header
-        if (mailOptions.priority && mailOptions.priority !== 'normal') {
-            const priorityMap = { high: '1 (Highest)', low: '5 (Lowest)' };
-            message += `X-Priority: ${priorityMap[mailOptions.priority]}\r\n`;
+        if (!failure && withData && !dataResponse.startsWith("354")) {
+            failure = this.createError(`SMTP Error: ${dataResponse}`, dataResponse, "DATA");
         }
 
-        // Add custom headers
-        if (mailOptions.headers) {
-            for (const [key, value] of Object.entries(mailOptions.headers)) {
-                message += `${key}: ${value}\r\n`;
+        if (failure) {
+            if (dataResponse?.startsWith("354")) {
+                // The server is waiting for the message body; dropping the session discards the transaction
+                this.destroy();
+            } else {
+                await this.reset();
             }
+            // Keep the per-recipient replies so callers can see why each address failed
+            failure.recipients = recipients;
+            throw failure;
         }
 
-        message += `MIME-Version: 1.0\r\n`;
+        return { ...recipients, dataAccepted: withData };
+    }
+
+    /**
+     * ESMTP parameters for MAIL FROM
+     */
+    getMailParameters({ dsn } = {}, { size = null, smtputf8 = false, eightBit = false } = {}) {
+        const parameters = [];
 
-        const hasAttachments = mailOptions.attachments && mailOptions.attachments.length > 0;
+        // Declared message size (RFC 1870) so the server can refuse before the upload
+        if (size !== null && this.capabilities.has("SIZE")) {
+            parameters.push(`SIZE=${size}`);
+        }
+
+        if (eightBit && this.capabilities.has("8BITMIME")) {
+            parameters.push("BODY=8BITMIME");
+        }
 
-        if (hasAttachments) {
-            message += `Content-Type: multipart/mixed; boundary="${boundary}"\r\n\r\n`;
-            message += `--${boundary}\r\n`;
+        if (smtputf8) {
+            parameters.push("SMTPUTF8");
         }
 
-        if (mailOptions.html && mailOptions.text) {
-            const altBoundary = `----=_Part_Alt_${Date.now()}`;
-            message += `Content-Type: multipart/alternative; boundary="${altBoundary}"\r\n\r\n`;
-            message += `--${altBoundary}\r\n`;
-            message += `Content-Type: text/plain; charset=utf-8\r\n\r\n`;
-            message += `${mailOptions.text}\r\n\r\n`;
-            message += `--${altBoundary}\r\n`;
-            message += `Content-Type: text/html; charset=utf-8\r\n\r\n`;
-            message += `${mailOptions.html}\r\n\r\n`;
-            message += `--${altBoundary}--\r\n`;
-        } else if (mailOptions.html) {
-            message += `Content-Type: text/html; charset=utf-8\r\n\r\n`;
-            message += `${mailOptions.html}\r\n`;
-        } else if (mailOptions.text) {
-            message += `Content-Type: text/plain; charset=utf-8\r\n\r\n`;
-            message += `${mailOptions.text}\r\n`;
+        // Delivery status notifications (RFC 3461)
+        if (dsn && this.capabilities.has("DSN")) {
+            if (dsn.ret) parameters.push(`RET=${dsn.ret}`);
+            if (dsn.envid) parameters.push(`ENVID=${encodeXtext(dsn.envid)}`);
         }
 
-        if (hasAttachments) {
-            for (const attachment of mailOptions.attachments) {
-                const fileContent = fs.readFileSync(attachment.path);
-                const base64Content = fileContent.toString("base64");
-                const filename = attachment.filename || path.basename(attachment.path);
+        return parameters;
+    }
+
+    /**
+     * ESMTP parameters for RCPT TO
+     */
+    getRecipientParameters(address, { dsn } = {}, original = address) {
+        const parameters = [];
+
+        if (dsn && this.capabilities.has("DSN")) {
+            if (dsn.notify) parameters.push(`NOTIFY=${[].concat(dsn.notify).join(",")}`);
+            // The address as the sender wrote it; rfc822 only carries ASCII, anything else needs utf-8 (RFC 6533)
+            parameters.push(/^[\x00-\x7f]*$/.test(original)
+                ? `ORCPT=rfc822;${encodeXtext(original)}`
+                : `ORCPT=utf-8;${encodeUtf8AddrXtext(original)}`);
+        }
+
+        return parameters;
+    }
+
+    formatCommand(command, parameters) {
+        return [command, ...parameters].join(" ");
+    }
 
-                message += `\r\n--${boundary}\r\n`;
-                message += `Content-Type: application/octet-stream; name="${filename}"\r\n`;
-                message += `Content-Transfer-Encoding: base64\r\n`;
-                message += `Content-Disposition: attachment; filename="${filename}"\r\n\r\n`;
+    /**
+     * Send commands and yield their replies in order. With PIPELINING (RFC 2920) all commands are
+     * written at once; otherwise each one waits for the previous reply. Replies the caller stops
+     * reading are still consumed so the session stays in sync.
+     */
+    async *sendCommands(commands, pipelining = false) {
+        if (pipelining) {
+            this.socket.write(commands.map((command) => command + "\r\n").join(""));
+        }
 
-                for (let i = 0; i < base64Content.length; i += 76) {
-                    message += base64Content.substring(i, i + 76) + "\r\n";
+        let received = 0;
+        let failed = false;
+        try {
+            for (const [index, command] of commands.entries()) {
+                if (!pipelining) this.socket.write(command + "\r\n");
+                const response = await this.readResponse();
+                received++;
+                yield { command, response, index };
+            }
+        } catch (error) {
+            failed = true;
+            throw error;
+        } finally {
+            while (pipelining && !failed && received < commands.length) {
+                await this.readResponse();
+                received++;
+            }
+        }
+    }
+
+    /**
+     * Abort the current mail transaction so the session can be reused
+     */
+    async reset() {
+        try {
+            await this.sendCommand("RSET");
+        } catch (e) {
+            // The transaction is being abandoned anyway
+        }
+    }
+
+    /**
+     * Send the message with BDAT (RFC 3030) in binary-safe chunks, without dot-stuffing.
+     * The final chunk is marked LAST and its reply is the message's delivery reply.
+     */
+    async sendChunked(stream) {
+        let chunks = [];
+        let size = 0;
+
+        try {
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+                size += chunk.length;
+
+                if (size >= BDAT_CHUNK_SIZE) {
+                    await this.sendChunk(Buffer.concat(chunks, size), false);
+                    chunks = [];
+                    size = 0;
                 }
             }
-            message += `--${boundary}--\r\n`;
+        } catch (error) {
+            // Rejected chunks have already reset the transaction, anything else (a failing attachment
+            // stream, a socket error) leaves it open with no way to end it but dropping the session
+            if (!(error instanceof SMTPError)) this.destroy();
+            throw error;
         }
 
-        message += "\r\n.\r\n";
-        this.socket.write(message);
+        return this.sendChunk(Buffer.concat(chunks, size), true);
+    }
+
+    async sendChunk(data, last) {
+        const command = `BDAT ${data.length}${last ? " LAST" : ""}`;
+        this.socket.write(command + "\r\n");
+        if (!this.socket.write(data)) {
+            await once(this.socket, "drain");
+        }
 
         const response = await this.readResponse();
         if (!response.startsWith("250")) {
-            throw new Error(`Failed to send email: ${response}`);
+            // A rejected chunk fails the whole transaction
+            if (!last) await this.reset();
+            throw this.createError(`Failed to send email: ${response}`, response, command);
         }
+        return response;
+    }
 
-        return messageId;
+    /**
+     * Pipe a Readable into the socket, waiting for 'drain' whenever the socket buffer is full
+     */
+    async writeStream(stream) {
+        for await (const chunk of stream) {
+            if (!this.socket.write(chunk)) {
+                await once(this.socket, "drain");
+            }
+        }
     }
 
-    extractEmail(emailString) {
-        // Extract email from "Name <email@domain.com>" format
-        const match = emailString.match(/<([^>]+)>/);
-        return match ? match[1] : emailString;
+    /**
+     * Drop the session without QUIT, for when it is stuck mid-transaction. The client is unusable afterwards.
+     */
+    destroy() {
+        this.socket?.destroy();
+        this.socket = null;
     }
 
     async quit() {
         try {
-            await this.sendCommand("QUIT", "221");
+            // A socket that failed or was dropped would never answer
+            if (this.socket && !this.socket.destroyed) await this.sendCommand("QUIT", "221");
         } catch (e) {
             // Ignore quit errors
         }
         this.socket?.end();
         this.socket?.destroy();
     }
-}
\ No newline at end of file
+}
+
+/**
+ * xtext encoding (RFC 3461 section 4) for DSN parameter values
+ */
+function encodeXtext(value) {
+    return Buffer.from(value, "utf8").reduce((encoded, byte) => {
+        const printable = byte >= 33 && byte <= 126 && byte !== 0x2b && byte !== 0x3d;
+        return encoded + (printable ? String.fromCharCode(byte) : `+${byte.toString(16).toUpperCase().padStart(2, "0")}`);
+    }, "");
+}
+
+/**
+ * utf-8-addr-xtext encoding (RFC 6533 section 3): "+", "=", backslash, controls and non-ASCII
+ * characters become \x{HEX} escapes of their code point
+ */
+function encodeUtf8AddrXtext(value) {
+    return Array.from(value, (char) => {
+        const code = char.codePointAt(0);
+        const qchar = code >= 0x21 && code <= 0x7e && char !== "+" && char !== "=" && char !== "\\";
+        return qchar ? char : `\\x{${code.toString(16).toUpperCase().padStart(2, "0")}}`;
+    }).join("");
+}
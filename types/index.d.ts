@@ -59,9 +59,16 @@ export interface EmailAddress {
 	address: string;
 }
 
+/** An address string, which may be an RFC 5322 address list ("Doe, Jane" <jane@example.com>, b@example.com), or a { name, address } object */
 export type EmailRecipient = string | EmailAddress;
 export type EmailRecipients = EmailRecipient | EmailRecipient[];
 
+/** RFC 5322 group ("Team: a@example.com, b@example.com;") */
+export interface EmailGroup {
+	name: string;
+	group: EmailAddress[];
+}
+
 // ============================================================================
 // Authentication Types
 // ============================================================================
@@ -69,16 +76,54 @@ export type EmailRecipients = EmailRecipient | EmailRecipient[];
 export interface BasicAuth {
 	user: string;
 	pass: string;
-	type?: "login" | "plain";
+	/** SASL mechanism; negotiated from the server's AUTH capability when omitted */
+	type?: "login" | "plain" | "cram-md5";
+}
+
+export interface NTLMAuth {
+	type: "ntlm";
+	/** Username, optionally as "DOMAIN\\user" */
+	user: string;
+	pass: string;
+	/** NTLM domain (default: taken from user or empty) */
+	domain?: string;
+	/** Workstation name (default: EHLO hostname) */
+	workstation?: string;
+}
+
+export interface OAuth2Token {
+	accessToken: string;
+	/** Expiry as a ms timestamp */
+	expires?: number;
+	/** Lifetime in seconds (used when expires is omitted) */
+	expiresIn?: number;
 }
 
+export type OAuth2TokenProvider = (request: {
+	user: string;
+	/** True when the previous token was rejected by the server */
+	forceRefresh: boolean;
+}) => Promise<string | OAuth2Token> | string | OAuth2Token;
+
 export interface OAuth2Auth {
 	type: "oauth2";
 	user: string;
-	clientId: string;
-	clientSecret: string;
-	refreshToken: string;
+	clientId?: string;
+	clientSecret?: string;
+	refreshToken?: string;
 	accessToken?: string;
+	/** accessToken expiry as a ms timestamp */
+	expires?: number;
+	/** Token endpoint style (default: detected from the SMTP host) */
+	provider?: "google" | "microsoft";
+	/** Microsoft tenant (default: 'common') */
+	tenant?: string;
+	/** Custom token endpoint URL */
+	tokenUrl?: string;
+	/** Scope requested when refreshing */
+	scope?: string;
+	/** Custom access token source, used instead of the refresh token flow */
+	tokenProvider?: OAuth2TokenProvider;
 }
 
 export interface XOAuth2Auth {
@@ -87,7 +132,16 @@ export interface XOAuth2Auth {
 	accessToken: string;
 }
 
-export type AuthConfig = BasicAuth | OAuth2Auth | XOAuth2Auth;
+/**
+ * SASL EXTERNAL: authenticate with the TLS client certificate (tls.cert / tls.key)
+ */
+export interface ExternalAuth {
+	type: "external";
+	/** Authorization identity (default: derived from the certificate by the server) */
+	user?: string;
+}
+
+export type AuthConfig = BasicAuth | NTLMAuth | OAuth2Auth | XOAuth2Auth | ExternalAuth;
 
 // ============================================================================
 // Attachment Types
@@ -97,12 +151,17 @@ export interface FileAttachment {
 	filename: string;
 	path: string;
 	contentType?: string;
+	/** Content-ID for inline images referenced as `cid:<id>` in HTML */
+	cid?: string;
 }
 
 export interface BufferAttachment {
 	filename: string;
 	content: Buffer | string;
 	contentType?: string;
+	/** Content-ID for inline images referenced as `cid:<id>` in HTML */
+	cid?: string;
+	/** Encoding of string content, e.g. 'base64' or 'hex' (default: 'utf8') */
 	encoding?: string;
 }
 
@@ -110,6 +169,8 @@ export interface StreamAttachment {
 	filename: string;
 	content: Readable;
 	contentType?: string;
+	/** Content-ID for inline images referenced as `cid:<id>` in HTML */
+	cid?: string;
 }
 
 export type Attachment = FileAttachment | BufferAttachment | StreamAttachment;
@@ -143,6 +204,36 @@ export interface PoolStats {
 // SMTP Configuration Types
 // ============================================================================
 
+/**
+ * STARTTLS policy on non-secure connections:
+ * - opportunistic: upgrade whenever the server offers STARTTLS
+ * - required: fail if the server does not offer STARTTLS
+ * - none: never upgrade
+ */
+export type TLSPolicy = "opportunistic" | "required" | "none";
+
+/**
+ * TLS settings used for implicit TLS and STARTTLS
+ */
+export interface TLSOptions {
+	policy?: TLSPolicy;
+	/** Trusted CA certificates (PEM), e.g. a private CA */
+	ca?: string | Buffer | Array<string | Buffer>;
+	/** Client certificate (PEM) for mutual TLS */
+	cert?: string | Buffer;
+	/** Client private key (PEM) */
+	key?: string | Buffer;
+	/** Passphrase for the private key */
+	passphrase?: string;
+	minVersion?: "TLSv1" | "TLSv1.1" | "TLSv1.2" | "TLSv1.3";
+	/** OpenSSL cipher list */
+	ciphers?: string;
+	/** SNI server name (default: host) */
+	servername?: string;
+	/** SHA-256 certificate fingerprint(s) to pin, hex with or without colons. With fingerprint, ca or cert the policy is always "required" */
+	fingerprint?: string | string[];
+}
+
 export interface SMTPConfig {
 	/** SMTP server hostname */
 	host?: string;
@@ -150,10 +241,12 @@ export interface SMTPConfig {
 	port?: number;
 	/** Use secure connection (SSL/TLS) */
 	secure?: boolean;
-	/** Require STARTTLS */
+	/** Require STARTTLS (same as tls: "required") */
 	requireTLS?: boolean;
 	/** Ignore TLS certificate errors */
 	ignoreTLS?: boolean;
+	/** STARTTLS policy (default: "opportunistic", or "required" with requireTLS) or full TLS options */
+	tls?: TLSPolicy | TLSOptions;
 	/** Authentication configuration */
 	auth: AuthConfig;
 	/** Connection timeout in ms (default: 60000) */
@@ -179,7 +272,7 @@ export interface SMTPConfig {
 // ============================================================================
 
 export interface MailConfig {
-	/** Sender email address */
+	/** Sender address, optionally with a display name ("Name <address>" or { name, address }) */
 	from?: EmailRecipient;
 	/** Recipient email address(es) */
 	to: EmailRecipients;
@@ -187,8 +280,8 @@ export interface MailConfig {
 	cc?: EmailRecipients;
 	/** BCC recipient email address(es) */
 	bcc?: EmailRecipients;
-	/** Reply-to email address */
-	replyTo?: EmailRecipient;
+	/** Reply-to email address(es) */
+	replyTo?: EmailRecipients;
 	/** Email subject */
 	subject: string;
 	/** HTML email content */
@@ -211,6 +304,12 @@ export interface MailConfig {
 	date?: Date;
 	/** Custom message ID */
 	messageId?: string;
+	/** Send to the accepted recipients when some RCPT TO commands are rejected (default: false) */
+	allowPartialDelivery?: boolean;
+	/** Delivery status notifications, sent when the server supports DSN */
+	dsn?: DSNOptions;
+	/** SMTP envelope, when it should differ from the From/To/Cc/Bcc headers */
+	envelope?: Envelope;
 }
 
 // ============================================================================
@@ -230,19 +329,74 @@ export interface MailerDefaults {
 	priority?: "high" | "normal" | "low";
 }
 
+/**
+ * VERP return-path pattern with {local}, {domain} and {address} placeholders,
+ * e.g. "bounces+{local}={domain}@example.com", or a function building it from the recipient
+ */
+export type VerpPattern = string | ((recipient: string) => string);
+
+export interface BulkSendOptions extends Partial<MailConfig> {
+	/** Give each recipient its own return-path (overrides the mailer's verp) */
+	verp?: VerpPattern;
+}
+
 export interface CreateMailerConfig {
 	smtp: SMTPConfig;
 	defaults?: MailerDefaults;
+	/** VERP pattern used by sendBulk and sendBulkTemplate */
+	verp?: VerpPattern;
 }
 
 // ============================================================================
 // Response Types
 // ============================================================================
 
+/**
+ * SMTP envelope (MAIL FROM / RCPT TO), independent of the message headers
+ */
+export interface Envelope {
+	/** Return-path for bounces (default: from); "" sends the null sender */
+	from?: string;
+	/** Actual recipients (default: to + cc + bcc) */
+	to?: string | string[];
+}
+
+/**
+ * Delivery status notification request (RFC 3461)
+ */
+export interface DSNOptions {
+	/** When to notify; "NEVER" cannot be combined with other values */
+	notify?: DSNNotify | DSNNotify[];
+	/** Return the full message or only its headers in failure reports */
+	ret?: "HDRS" | "FULL";
+	/** Envelope identifier echoed back in reports */
+	envid?: string;
+}
+
+export type DSNNotify = "NEVER" | "SUCCESS" | "FAILURE" | "DELAY";
+
+/**
+ * Server reply to RCPT TO for one recipient
+ */
+export interface RecipientResponse {
+	address: string;
+	response: string;
+}
+
 export interface SendEmailResult {
 	success: boolean;
 	messageId?: string;
+	/** Message size in bytes (null when a stream attachment made it unknown) */
+	size?: number | null;
+	/** Recipients the server accepted */
+	accepted?: RecipientResponse[];
+	/** Recipients permanently rejected (5xx) */
+	rejected?: RecipientResponse[];
+	/** Recipients temporarily rejected (4xx) - retry later */
+	pending?: RecipientResponse[];
 	error?: string;
+	/** Structured details when the failure was an SMTP reply */
+	smtpError?: SMTPError;
 }
 
 export interface BulkSendResult {
@@ -297,11 +451,15 @@ export interface SenderwolfConfig {
 	port?: number;
 	secure?: boolean;
 	requireTLS?: boolean;
+	ignoreTLS?: boolean;
+	tls?: TLSPolicy | TLSOptions;
 	fromName?: string;
 	fromEmail?: string;
 	replyTo?: string;
 	debug?: boolean;
 	authType?: string;
+	/** OAuth2 client and refresh token (written by `senderwolf auth`) */
+	oauth2?: Partial<Omit<OAuth2Auth, "type" | "user">>;
 	pool?: PoolConfig;
 	usePool?: boolean;
 	customProviders?: Record<string, Partial<ProviderConfig>>;
@@ -358,7 +516,7 @@ export interface Mailer {
 		recipients: string[],
 		subject: string,
 		content: string,
-		options?: Partial<MailConfig>
+		options?: BulkSendOptions
 	): Promise<BulkSendResult[]>;
 
 	/**
@@ -378,7 +536,7 @@ export interface Mailer {
 		templateName: string,
 		recipients: string[],
 		variables?: TemplateVariables | ((recipient: string) => TemplateVariables),
-		options?: Partial<MailConfig>
+		options?: BulkSendOptions
 	): Promise<BulkSendResult[]>;
 
 	/**
@@ -512,6 +670,25 @@ export function listProviders(): ProviderInfo[];
  */
 export function getAllProviders(): Record<string, ProviderConfig>;
 
+// ============================================================================
+// Address Functions
+// ============================================================================
+
+/**
+ * Parse an RFC 5322 address list, handling quoted display names, comments and groups
+ */
+export function parseAddressList(input: string): Array<EmailAddress | EmailGroup>;
+
+/**
+ * The single mailbox in an address string or object, or null
+ */
+export function parseAddress(value: EmailRecipient): EmailAddress | null;
+
+/**
+ * Format recipients as an RFC 5322 address-list header value, encoding non-ASCII display names
+ */
+export function encodeAddressList(addresses: EmailRecipients): string;
+
 // ============================================================================
 // Configuration Functions
 // ============================================================================
@@ -640,6 +817,38 @@ export class TemplateManager {
 	static clearAll(): void;
 }
 
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error raised when the SMTP server rejects a command
+ */
+export class SMTPError extends Error {
+	constructor(message: string, details?: { response?: string; command?: string | null });
+	name: "SMTPError";
+	/** SMTP reply code, e.g. 550 */
+	responseCode: number | null;
+	/** RFC 3463 enhanced status code, e.g. "5.1.1" */
+	enhancedStatusCode: string | null;
+	/** Command that triggered the reply (credentials are never included) */
+	command: string | null;
+	/** Full, possibly multi-line, server response */
+	response: string;
+	/** Per-recipient RCPT TO replies when the envelope failed */
+	recipients?: {
+		accepted: RecipientResponse[];
+		rejected: RecipientResponse[];
+		pending: RecipientResponse[];
+	};
+	/** 4xx reply: worth retrying later */
+	readonly transient: boolean;
+	/** 5xx reply: will fail again if retried unchanged */
+	readonly permanent: boolean;
+	readonly classification: "transient" | "permanent" | "unknown";
+	toJSON(): Record<string, unknown>;
+}
+
 // ============================================================================
 // Constants
 // ============================================================================
@@ -693,6 +902,7 @@ declare const senderwolf: {
 	TemplateManager: typeof TemplateManager;
 	SMTP_PROVIDERS: typeof SMTP_PROVIDERS;
 	BUILTIN_TEMPLATES: typeof BUILTIN_TEMPLATES;
+	SMTPError: typeof SMTPError;
 };
 
 export default senderwolf;